@@ -47,8 +47,17 @@ angular.module('customCollabApp', [
   function handleSubmit(event) {
     event.preventDefault();
     var data = angular.fromJson(vm.configJson);
-    clbAutomator.run(data)
-    .then(function(collab) {
+    clbAutomator.run(data, {
+      variables: {
+        now: $filter('date')(new Date(), 'medium')
+      }
+    })
+    .then(function(outcome) {
+      var collab = outcome;
+      if (outcome.failures) {
+        $log.warn('Optional tasks failed', outcome.failures);
+        collab = outcome.result;
+      }
       $log.info('Created Collab', collab);
       clbApp.emit('collab.open', collab);
     })
@@ -65,7 +74,7 @@ angular.module('customCollabApp', [
   function activate() {
     vm.configJson = angular.toJson({
       collab: {
-        title: 'Test Collab Creator ' + $filter('date')(new Date(), 'medium'),
+        title: 'Test Collab Creator {{now}}',
         content: 'My Collab Description',
         private: true, // Please remember that only HBP Member can create private collabs
         after: [{
@@ -73,13 +82,13 @@ angular.module('customCollabApp', [
             entities: {
               'sample.ipynb': '155c1bcc-ee9c-43e2-8190-50c66befa1fa'
             },
-            after: {
+            after: [{
               nav: {
                 name: 'Example Code',
                 app: 'Jupyter Notebook',
                 entity: 'sample.ipynb'
               }
-            }
+            }]
           }
         }, {
           nav: {
@@ -15,5 +15,6 @@ angular.module('clb-automator', [
   'hbpDocumentClient',
   'hbpCollaboratoryAppStore',
   'hbpCollaboratoryNavStore',
-  'hbpCollaboratoryStorage'
+  'hbpCollaboratoryStorage',
+  'uuid4'
 ]);
@@ -86,6 +86,27 @@ angular.module('clb-automator')
  *   $log.info('Created Collab', collab);
  * });
  *
+ * @example <caption>Preview what a descriptor will do</caption>
+ * // In dry-run mode, no request is sent to the Collaboratory. Each task
+ * // resolves with a plan node describing what it would have done.
+ * clbAutomator.run({
+ *   "collab": {
+ *     "title": "My Collab",
+ *     "content": "My Collab Description",
+ *     "after": [{
+ *       "nav": {
+ *         "name": "Introduction",
+ *         "app": "Rich Text Editor"
+ *       }
+ *     }]
+ *   }
+ * }, {}, {dryRun: true}).then(function(plan) {
+ *   // plan.name === 'collab'
+ *   // plan.plan.action === 'createCollab'
+ *   // plan.subtasks[0].plan.action === 'createNavItem'
+ *   $log.info('Plan', plan);
+ * });
+ *
  * @example <caption>Create a Collab with a pre-filled overview</caption>
  * clbAutomator.run({
  *   "collab": {
@@ -102,27 +123,458 @@ angular.module('clb-automator')
  * }).then(function(collab) {
  *   $log.info('Created Collab', collab);
  * });
+ * @example <caption>Use variables and results in a descriptor</caption>
+ * // ``{{ }}`` placeholders contain AngularJS expressions evaluated against
+ * // the task context and the ``variables`` given in the initial context.
+ * // They are interpolated right before the task is run.
+ * clbAutomator.run({
+ *   "collab": {
+ *     "title": "{{title}}",
+ *     "content": "Created by {{user}}",
+ *     "after": [{
+ *       "storage": {
+ *         "entities": {
+ *           "sample.ipynb": "155c1bcc-ee9c-43e2-8190-50c66befa1fa"
+ *         },
+ *         "after": [{
+ *           "nav": {
+ *             "name": "Notebook of collab {{collab.id}}",
+ *             "app": "Jupyter Notebook",
+ *             "entity": "{{storage['sample.ipynb']._uuid}}"
+ *           }
+ *         }]
+ *       }
+ *     }]
+ *   }
+ * }, {
+ *   variables: {
+ *     title: 'My Collab',
+ *     user: 'John Doe'
+ *   }
+ * });
+ *
+ * @example <caption>Reference the result of a task from another branch</caption>
+ * // A task with an ``id`` publishes its result in the run registry.
+ * // ``$ref:<id>.<property>`` strings are replaced by the matching value
+ * // and the referencing task waits for the referenced one.
+ * clbAutomator.run({
+ *   "collab": {
+ *     "title": "My Collab",
+ *     "after": [{
+ *       "nav": {
+ *         "name": "Example Code",
+ *         "app": "Jupyter Notebook",
+ *         "entity": "$ref:copyNotebook.sample.ipynb._uuid"
+ *       }
+ *     }, {
+ *       "storage": {
+ *         "id": "copyNotebook",
+ *         "entities": {
+ *           "sample.ipynb": "155c1bcc-ee9c-43e2-8190-50c66befa1fa"
+ *         }
+ *       }
+ *     }]
+ *   }
+ * });
+ *
+ * @example <caption>Run a task only when a condition is met</caption>
+ * // ``when`` is an AngularJS expression evaluated against the task context.
+ * // When it is falsy, the task and its subtasks are skipped.
+ * clbAutomator.run({
+ *   "collab": {
+ *     "title": "My Collab",
+ *     "private": true,
+ *     "after": [{
+ *       "nav": {
+ *         "name": "Members Only",
+ *         "app": "Rich Text Editor",
+ *         "when": "collab.private"
+ *       }
+ *     }]
+ *   }
+ * });
+ *
+ * @example <caption>Retry a task on failure</caption>
+ * // Any task descriptor accepts a ``retry`` block. Values not given are
+ * // taken from ``clbAutomator.defaults.retry``.
+ * clbAutomator.defaults.retry.maxAttempts = 2;
+ * clbAutomator.run({
+ *   "overview": {
+ *     "collab": 42,
+ *     "entity": "155c1bcc-ee9c-43e2-8190-50c66befa1fa",
+ *     "retry": {
+ *       "maxAttempts": 5,    // including the first attempt
+ *       "delay": 500,        // milliseconds before the first retry
+ *       "factor": 2,         // multiply the delay after each retry
+ *       "retryOn": ["HttpError"] // error types to retry, default to all
+ *     }
+ *   }
+ * });
+ *
+ * @example <caption>Cancel a run</caption>
+ * // The run is cancelled when the ``cancelToken`` promise resolves.
+ * // Handlers receive a token as ``this.cancelToken`` and should give it
+ * // as the ``timeout`` of their $http requests. It resolves when the run
+ * // is cancelled or when the attempt times out.
+ * // The overview, nav and folder tasks abort their pending requests. The
+ * // collab, storage and app stores, and the cached nav tree lookup, do not
+ * // accept a token yet: the task is cancelled right away and what these
+ * // requests create once done is removed by the task ``undo`` hook.
+ * var cancel = $q.defer();
+ * clbAutomator.run(descriptor, {}, {
+ *   cancelToken: cancel.promise
+ * }).catch(function(err) {
+ *   // err.type === 'Cancelled'
+ * });
+ * $scope.$on('$destroy', function() {
+ *   cancel.resolve('Dialog closed');
+ * });
+ *
+ * @example <caption>Resume a run after a page reload</caption>
+ * // With the ``journal`` option, the state and result of each task is
+ * // saved in the browser localStorage under the run id.
+ * clbAutomator.run(descriptor, {}, {
+ *   journal: true,
+ *   runId: 'create-my-collab'
+ * });
+ * // After a reload, tasks that already succeeded are not run again.
+ * clbAutomator.resume('create-my-collab').then(function(collab) {
+ *   $log.info('Created Collab', collab);
+ * });
+ *
+ * @example <caption>Load a YAML descriptor from the storage</caption>
+ * // The source can be a JSON string, a YAML string or the UUID of a file
+ * // entity containing one of them.
+ * clbAutomator.load('155c1bcc-ee9c-43e2-8190-50c66befa1fa')
+ * .then(function(descriptor) {
+ *   return clbAutomator.run(descriptor);
+ * })
+ * .catch(function(err) {
+ *   // err.type === 'DescriptorParseError'
+ *   // err.data.line === 3
+ * });
+ *
+ * @example <caption>Limit the duration of a task</caption>
+ * // A task attempt lasting more than ``timeout`` milliseconds is rejected
+ * // with a ``TaskTimeout`` error. ``clbAutomator.defaults.timeout`` applies
+ * // to the tasks without ``timeout``.
+ * clbAutomator.defaults.timeout = 60000;
+ * clbAutomator.run({
+ *   "storage": {
+ *     "collab": 42,
+ *     "entities": {
+ *       "sample.ipynb": "155c1bcc-ee9c-43e2-8190-50c66befa1fa"
+ *     },
+ *     "timeout": 10000,
+ *     "retry": {"maxAttempts": 3, "retryOn": ["TaskTimeout"]}
+ *   }
+ * });
+ *
+ * @example <caption>Continue when a non-critical task fails</caption>
+ * // The failure of an optional task does not fail its parent: its
+ * // subtasks are skipped and the run goes on. ``onError: 'continue'`` is
+ * // a synonym of ``optional: true``. The run then resolves with the
+ * // result and the failures.
+ * clbAutomator.run({
+ *   "collab": {
+ *     "title": "My Collab",
+ *     "after": [{
+ *       "storage": {
+ *         "entities": {"extra.ipynb": "155c1bcc-..."},
+ *         "optional": true
+ *       }
+ *     }]
+ *   }
+ * }).then(function(outcome) {
+ *   // outcome.result: {id: 42, title: 'My Collab'}
+ *   // outcome.failures: [{path: '$.collab.after[0].storage', ...}]
+ * });
+ *
+ * @example <caption>Get a report of the run</caption>
+ * // With the ``report`` option, the run resolves with the report of every
+ * // task instead of the top level result. A failed run always rejects with
+ * // an error having a ``report`` attribute.
+ * clbAutomator.run(descriptor, {}, {report: true}).then(function(report) {
+ *   // report.state === 'success'
+ *   // report.result: {id: 42, title: 'My Collab'}
+ *   // report.subtasks[0]: {name: 'nav', state: 'success', ...}
+ *   $log.info(angular.toJson(report));
+ * }, function(err) {
+ *   $log.error(angular.toJson(err.report));
+ * });
+ *
+ * @example <caption>Declare the descriptor schema of a task</caption>
+ * // The descriptor tree is validated before any task is run.
+ * // Keys common to all tasks, like ``after``, are validated by the
+ * // automator and removed before the handler schema is applied.
+ * clbAutomator.registerHandler('greet', greet, {
+ *   schema: {
+ *     type: 'object',
+ *     required: ['name'],
+ *     properties: {
+ *       name: {type: 'string'}
+ *     }
+ *   }
+ * });
+ * clbAutomator.run({greet: {name: 1}}).catch(function(err) {
+ *   // err.type === 'InvalidDescriptor'
+ *   // err.data.errors: [{path: '$.greet.name', message: 'should be string'}]
+ * });
  * @param {object} $q injected service
  * @param {object} $log injected service
+ * @param {object} $window injected service
+ * @param {object} $parse injected service
+ * @param {object} $timeout injected service
  * @param {object} hbpErrorService injected service
+ * @param {object} clbJsonSchema injected service
+ * @param {object} clbTemplate injected service
+ * @param {object} clbAutomatorJournal injected service
+ * @param {object} uuid4 injected service
+ * @param {object} hbpFileStore injected service
  * @return {object} the clbAutomator Angular service singleton
  */
 function clbAutomator(
   $q,
   $log,
-  hbpErrorService
+  $window,
+  $parse,
+  $timeout,
+  hbpErrorService,
+  clbJsonSchema,
+  clbTemplate,
+  clbAutomatorJournal,
+  uuid4,
+  hbpFileStore
 ) {
   var handlers = {};
+  var handlerOptions = {};
+  var templates = {};
+  var middlewares = [];
+
+  /**
+   * Default values used by every task. They can be modified at runtime.
+   *
+   * - ``retry``: the default retry policy, see ``Task.runHandler``. By
+   *   default, a task is attempted only once.
+   * - ``timeout``: the default maximum duration of a task attempt in
+   *   milliseconds. ``0`` means no limit, which is the default.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @type {object}
+   */
+  var defaults = {
+    retry: {
+      maxAttempts: 1,
+      delay: 1000,
+      factor: 2,
+      retryOn: null
+    },
+    timeout: 0
+  };
+
+  // Schema of the descriptor keys that are handled by the automator
+  // for every task.
+  var commonSchema = {
+    type: 'object',
+    properties: {
+      after: {
+        type: 'array',
+        items: {type: 'object'}
+      },
+      id: {type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$'},
+      when: {type: ['string', 'boolean']},
+      timeout: {type: 'integer', minimum: 0},
+      optional: {type: 'boolean'},
+      onError: {enum: ['fail', 'continue']},
+      ensure: {type: 'boolean'},
+      retry: {
+        type: 'object',
+        properties: {
+          maxAttempts: {type: 'integer'},
+          delay: {type: 'integer'},
+          factor: {type: 'number'},
+          retryOn: {type: 'array', items: {type: 'string'}}
+        },
+        additionalProperties: false
+      }
+    }
+  };
 
   /**
    * Register a handler function for the given task name.
-   * @memberof module:clb-automator.clb-automator
+   *
+   * The optional ``options.plan`` hook is called instead of ``fn`` when the
+   * task is run in dry-run mode. It receives the same arguments and must
+   * return, without any side effect, an object (or the promise of an object)
+   * describing what ``fn`` would do.
+   *
+   * The optional ``options.undo`` hook is called when a run fails after
+   * ``fn`` succeeded, to remove what ``fn`` created. Resources that ``fn``
+   * found instead of creating them, see ``Task.isIdempotent``, should be
+   * recorded in ``this.reused`` so that ``undo`` keeps them.
+   *
+   * ``fn``, the ``plan`` and the ``undo`` hooks are called with the Task
+   * instance as ``this``.
+   *
+   * Registering a name that already has a handler logs a warning, unless
+   * ``options.override`` is true.
+   *
+   * @memberof module:clb-automator.clbAutomator
    * @param  {string}   name handle actions with the specified name
    * @param  {Function} fn a function that accept the current context in
    *                       parameter.
+   * @param  {object}   [options] additional hooks for this handler
+   * @param  {string}   [options.description] a short description of the task
+   * @param  {boolean}  [options.override] replace an existing handler
+   *                       without warning
+   * @param  {Function} [options.plan] a function that accept the same
+   *                       parameters as ``fn`` and describe its effects.
+   * @param  {Function} [options.undo] a function that accept the result of
+   *                       ``fn``, the descriptor and the context and revert
+   *                       what ``fn`` did. It is used to rollback a failed run.
+   * @param  {object}   [options.schema] the JSON Schema of the descriptor
+   * @param  {string}   [options.children] the descriptor key containing the
+   *                       list of children tasks of a composite task. They
+   *                       are run by the handler using ``this.runChildren``.
+   * @param  {boolean}  [options.sequential] true if the children of the
+   *                       composite task are run one after the other.
+   * @param  {boolean}  [options.composite] true if the handler creates
+   *                       children tasks at run time using
+   *                       ``this.addChildren``.
+   * @param  {string}   [options.deferredChildren] the descriptor key
+   *                       containing a list of task definitions the handler
+   *                       instantiates at run time. They are validated with
+   *                       the descriptor tree but they are not interpolated
+   *                       with the task own attributes.
+   * @param  {Array}    [options.literal] the descriptor keys used as is:
+   *                       their placeholders and references are neither
+   *                       validated nor resolved, unless the descriptor
+   *                       sets ``interpolate: true``.
    */
-  function registerHandler(name, fn) {
+  function registerHandler(name, fn, options) {
+    options = options || {};
+    if (handlers.hasOwnProperty(name) && !options.override) {
+      $log.warn('Override the automator handler', name);
+    }
     handlers[name] = fn;
+    handlerOptions[name] = options;
+  }
+
+  /**
+   * Remove the handler of the given task name.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name the task name
+   * @return {boolean}     true if a handler has been removed
+   */
+  function unregisterHandler(name) {
+    if (!handlers.hasOwnProperty(name)) {
+      return false;
+    }
+    delete handlers[name];
+    delete handlerOptions[name];
+    return true;
+  }
+
+  /**
+   * List the registered handlers, sorted by name.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @return {Array} a list of ``{name, description, schema}`` where
+   *                 ``schema`` is the JSON Schema of the descriptor or null
+   */
+  function listHandlers() {
+    return Object.keys(handlers).sort().map(function(name) {
+      var options = handlerSettings(name);
+      return {
+        name: name,
+        description: options.description || '',
+        schema: options.schema ? angular.copy(options.schema) : null
+      };
+    });
+  }
+
+  /**
+   * Return the options a handler has been registered with. A handler set
+   * directly in ``clbAutomator.handlers`` has no option.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name the task name
+   * @return {object}      the handler options
+   * @private
+   */
+  function handlerSettings(name) {
+    return handlerOptions[name] || {};
+  }
+
+  /**
+   * Add a middleware wrapping every task handler call.
+   *
+   * A middleware is an object with any of the following hooks. Each hook
+   * receives an invocation object ``{name, descriptor, context, task,
+   * runId, attempt, dryRun}`` and can return a promise. The hooks of all
+   * the middlewares are called in their registration order.
+   *
+   * - ``before(invocation)``: called before the handler. The handler is
+   *   not called and the attempt fails if it throws or returns a rejected
+   *   promise.
+   * - ``after(invocation, result)``: called with the handler result. The
+   *   result is replaced by the returned value, if it is defined.
+   * - ``error(invocation, error)``: called when the handler or another
+   *   hook failed. The error is replaced if it throws or returns
+   *   a rejected promise.
+   *
+   * The hooks are called for each attempt of a retried task and for the
+   * ``plan`` hooks in dry-run mode.
+   *
+   * @example <caption>Log the duration of each task</caption>
+   * clbAutomator.use({
+   *   before: function(invocation) {
+   *     invocation.start = Date.now();
+   *   },
+   *   after: function(invocation) {
+   *     $log.info(invocation.name, 'took', Date.now() - invocation.start);
+   *   }
+   * });
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} middleware an object with ``before``, ``after`` or
+   *                             ``error`` functions
+   * @return {Function}          a function removing the middleware
+   */
+  function use(middleware) {
+    if (!angular.isObject(middleware) ||
+        !['before', 'after', 'error'].some(function(hook) {
+          return angular.isFunction(middleware[hook]);
+        })) {
+      throw hbpErrorService.error({
+        type: 'InvalidMiddleware',
+        message: 'A middleware should define a before, after or error ' +
+          'function',
+        data: {middleware: middleware}
+      });
+    }
+    middlewares.push(middleware);
+    return function() {
+      var index = middlewares.indexOf(middleware);
+      if (index !== -1) {
+        middlewares.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Register a reusable descriptor fragment that can be run using
+   * the ``include`` task.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name the template name
+   * @param  {object|Array} descriptor a task definition like
+   *                       ``{"nav": {...}}`` or a list of them. The
+   *                       ``{{ }}`` placeholders can use the ``include``
+   *                       parameters.
+   */
+  function registerTemplate(name, descriptor) {
+    templates[name] = descriptor;
   }
 
   /**
@@ -134,6 +586,10 @@ function clbAutomator(
    * can be given at load time and it will be fed with the result of each parent
    * (but not sibling) tasks as well.
    *
+   * The whole descriptor tree is validated against the handlers schema and
+   * an ``InvalidDescriptor`` HbpError listing every violation is thrown
+   * if it is invalid.
+   *
    * @memberof module:clb-automator.clbAutomator
    * @param {string} name the name of the task to instantiate
    * @param {object} [descriptor] a configuration object that will determine
@@ -144,8 +600,32 @@ function clbAutomator(
    * @return {Task} - the new task instance
    */
   function task(name, descriptor, context) {
+    var errors = validateDescriptor(name, descriptor, '$.' + name);
+    if (errors.length) {
+      throw invalidDescriptorError(errors, descriptor);
+    }
+    var t = createTask(name, descriptor, context);
+    errors = checkDependencies(t);
+    if (errors.length) {
+      throw invalidDescriptorError(errors, descriptor);
+    }
+    return t;
+  }
+
+  /**
+   * Instantiate a new Task without validating its descriptor.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param {string} name the name of the task to instantiate
+   * @param {object} [descriptor] a configuration object
+   * @param {object} [context] a default context to run the task with
+   * @param {string} [path] the JSON path of the task in the descriptor tree
+   * @return {Task} - the new task instance
+   * @private
+   */
+  function createTask(name, descriptor, context, path) {
     try {
-      return new Task(name, descriptor, context);
+      return new Task(name, descriptor, context, path);
     } catch (ex) {
       $log.error('EXCEPTION', ex);
       throw hbpErrorService.error({
@@ -167,19 +647,180 @@ function clbAutomator(
    * @memberof module:clb-automator.clbAutomator
    * @param  {object} descriptor description of the tasks to run
    * @param  {object} [context]  the initial context
-   * @return {Promise} promise of the top level task result
+   * @param  {object} [context.variables] values available to the ``{{ }}``
+   *                                      placeholders of the descriptor
+   * @param  {object} [options]  run options
+   * @param  {boolean} [options.dryRun] plan the tasks instead of running them
+   * @param  {boolean} [options.rollback] set to ``false`` to disable the
+   *                                      rollback of a failed run
+   * @param  {Function} [options.onEvent] called with an event object
+   *                                      each time a task changes state
+   * @param  {Promise} [options.cancelToken] cancel the run when resolved
+   * @param  {boolean|object} [options.journal] ``true`` to save the run
+   *                                      journal using ``clbAutomatorJournal``
+   *                                      or a store with the same interface
+   * @param  {string} [options.runId]     the run id, generated by default
+   * @param  {boolean} [options.report]   resolve with the run report
+   * @param  {boolean} [options.failFast] set to ``false`` to keep running
+   *                                      the other tasks after a failure
+   * @param  {boolean} [options.ensure]   reuse the existing resources
+   *                                      instead of creating them again
+   * @return {Promise} promise of the top level task result or of the
+   *                   run report. When the run succeeds despite failed
+   *                   optional tasks or with ``failFast: false``, it
+   *                   resolves with ``{result, failures}`` instead of the
+   *                   bare result, unless the ``report`` option is set:
+   *                   the failures are then in the report.
+   */
+  function run(descriptor, context, options) {
+    var name = angular.isObject(descriptor) ?
+      Object.keys(descriptor)[0] : undefined;
+    if (!name) {
+      return $q.reject(hbpErrorService.error({
+        type: 'NoTaskFound',
+        message: 'No task found in descriptor',
+        data: descriptor
+      }));
+    }
+    var t;
+    try {
+      t = task(name, descriptor[name], context);
+    } catch (ex) {
+      return $q.reject(ex);
+    }
+    return t.run(null, options).then(function(result) {
+      if ((options && options.report) || !t.failures.length) {
+        return result;
+      }
+      return {result: result, failures: t.failures};
+    });
+  }
+
+  /**
+   * Load a descriptor from a JSON string, a YAML string or the UUID of
+   * a file entity containing one of them.
+   *
+   * The parsed value is normalized into the object ``run`` expects:
+   * a list of task definitions is run as a ``sequence``.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string|object} source the descriptor source
+   * @param  {object} [options] load options
+   * @param  {boolean} [options.fragment] keep a list of task definitions
+   *                                      as is, like the ``include`` task
+   *                                      expects, instead of wrapping it
+   *                                      in a ``sequence``
+   * @return {Promise} promise of the descriptor, rejected with a
+   *                   ``DescriptorParseError`` HbpError giving the ``line``
+   *                   and ``column`` of a syntax error or an
+   *                   ``InvalidDescriptor`` HbpError
    */
-  function run(descriptor, context) {
-    for (var name in descriptor) {
-      if (descriptor.hasOwnProperty(name)) {
-        return task(name, descriptor[name], context).run();
+  function load(source, options) {
+    var uuidRe = /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i;
+    var content = $q.when(source);
+    if (angular.isString(source) && uuidRe.test(source.trim())) {
+      content = hbpFileStore.getContent(source.trim());
+    }
+    return content.then(function(value) {
+      try {
+        if (angular.isString(value)) {
+          value = parseDescriptor(value);
+        }
+        if (options && options.fragment && angular.isArray(value)) {
+          return value;
+        }
+        return normalizeDescriptor(value);
+      } catch (ex) {
+        return $q.reject(ex);
       }
+    });
+  }
+
+  /**
+   * Parse a JSON or YAML descriptor.
+   *
+   * JSON being a subset of YAML, both are parsed with js-yaml.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} text the descriptor source
+   * @return {any}         the parsed value
+   * @throws {HbpError} a ``DescriptorParseError`` on syntax errors
+   * @private
+   */
+  function parseDescriptor(text) {
+    try {
+      return $window.jsyaml.safeLoad(text);
+    } catch (ex) {
+      var mark = ex.mark || {};
+      var line = angular.isNumber(mark.line) ? mark.line + 1 : null;
+      var column = angular.isNumber(mark.column) ? mark.column + 1 : null;
+      var reason = ex.reason || ex.message;
+      throw hbpErrorService.error({
+        type: 'DescriptorParseError',
+        message: 'Cannot parse descriptor' +
+          (line ? ' at line ' + line + ', column ' + column : '') +
+          ': ' + reason,
+        data: {
+          line: line,
+          column: column,
+          reason: reason
+        }
+      });
+    }
+  }
+
+  /**
+   * Return the descriptor object ``run`` expects from a parsed value.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {any} value a parsed descriptor
+   * @return {object}    an object with a single top level task
+   * @throws {HbpError} an ``InvalidDescriptor`` error if there is not exactly
+   *                    one top level task
+   * @private
+   */
+  function normalizeDescriptor(value) {
+    if (angular.isArray(value)) {
+      return {sequence: {tasks: value}};
+    }
+    if (!angular.isObject(value) || Object.keys(value).length !== 1) {
+      throw invalidDescriptorError([{
+        path: '$',
+        message: 'should contain exactly one top level task'
+      }], value);
     }
-    return $q.reject(hbpErrorService.error({
-      type: 'NoTaskFound',
-      message: 'No task found in descriptor',
-      data: descriptor
-    }));
+    return value;
+  }
+
+  /**
+   * Resume a run from its journal.
+   *
+   * The descriptor and the initial context are read from the journal. Tasks
+   * whose result has been recorded are not run again: the recorded result
+   * is used instead. Failed, cancelled and pending tasks are run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} runId     the id of the run to resume
+   * @param  {object} [options] the run options, see ``run``
+   * @param  {object} [options.journal] the store to load the journal from,
+   *                                    default to ``clbAutomatorJournal``
+   * @return {Promise} promise of the top level task result
+   */
+  function resume(runId, options) {
+    options = angular.extend({}, options, {runId: runId});
+    options.journal = journalStore(options.journal || true);
+    return $q.when(options.journal.load(runId)).then(function(record) {
+      if (!record) {
+        return $q.reject(hbpErrorService.error({
+          type: 'RunNotFound',
+          message: 'No journal found for run ' + runId,
+          data: {runId: runId}
+        }));
+      }
+      var name = Object.keys(record.descriptor)[0];
+      var t = task(name, record.descriptor[name], record.context);
+      return runTask(t, null, options, record);
+    });
   }
 
   /**
@@ -189,10 +830,11 @@ function clbAutomator(
    *
    * @memberof module:clb-automator.clbAutomator
    * @param  {object} after the content of ``descriptor.after``
+   * @param  {string} path the JSON path of the ``after`` list
    * @return {Array/Task} array of subtasks
    * @private
    */
-  function createSubtasks(after) {
+  function createSubtasks(after, path) {
     var subtasks = [];
     if (!after || !after.length) {
       return subtasks;
@@ -201,7 +843,8 @@ function clbAutomator(
       var taskDef = after[i];
       for (var name in taskDef) {
         if (taskDef.hasOwnProperty(name)) {
-          subtasks.push(task(name, taskDef[name]));
+          subtasks.push(createTask(name, taskDef[name], null,
+            path + '[' + i + '].' + name));
         }
       }
     }
@@ -209,87 +852,1751 @@ function clbAutomator(
   }
 
   /**
-   * @class Task
+   * Validate each task definition of a list like ``descriptor.after``.
+   *
    * @memberof module:clb-automator.clbAutomator
-   * @desc
-   * Instantiate a task given the given `config`.
-   * The task can then be run using the `run()` instance method.
-   * @param {string} name the name of the task to instantiate
-   * @param {object} [descriptor] a configuration object that will determine
-   *                            which task to run and in which order
-   * @param {object} [descriptor.after] an array of task to run after this one
-   * @param {object} [context] a default context to run the task with
-   * @see module:clb-automator.task
+   * @param  {Array} taskDefs a list of task definitions
+   * @param  {string} path    the JSON path of the list
+   * @return {Array}          a list of ``{path, message}`` violations
+   * @private
+   */
+  function validateTaskList(taskDefs, path) {
+    var errors = [];
+    if (!angular.isArray(taskDefs)) {
+      return errors;
+    }
+    angular.forEach(taskDefs, function(taskDef, i) {
+      // Already reported by the common schema.
+      if (!angular.isObject(taskDef)) {
+        return;
+      }
+      // angular.forEach would call the ``forEach`` task definition.
+      Object.keys(taskDef).forEach(function(subName) {
+        errors = errors.concat(validateDescriptor(subName, taskDef[subName],
+          path + '[' + i + '].' + subName));
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Validate a task descriptor and all its subtasks descriptors.
    *
+   * Unknown tasks are not validated, they are reported when the task
+   * is instantiated.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name       the task name
+   * @param  {object} descriptor the task descriptor
+   * @param  {string} path       the JSON path of the descriptor
+   * @return {Array}             a list of ``{path, message}`` violations
+   * @private
    */
-  function Task(name, descriptor, context) {
+  function validateDescriptor(name, descriptor, path) {
     if (!handlers[name]) {
-      throw new Error('TaskNotFound');
+      return [];
     }
-    descriptor = descriptor || {};
-    context = context || {};
-    this.state = 'idle';
-    this.name = name;
-    this.descriptor = descriptor;
-    this.defaultContext = context;
-    this.state = 'idle';
-    this.promise = null;
-    this.error = null;
-    this.subtasks = createSubtasks(descriptor.after);
+    descriptor = angular.isDefined(descriptor) ? descriptor : {};
+    var errors = clbJsonSchema.validate(commonSchema, descriptor, path);
+    // Keep collecting so that a single error lists every violation.
+    if (!angular.isObject(descriptor)) {
+      return errors;
+    }
+    if (angular.isString(descriptor.when)) {
+      try {
+        $parse(descriptor.when);
+      } catch (ex) {
+        errors.push({
+          path: path + '.when',
+          message: 'is not a valid expression: ' + ex.message
+        });
+      }
+    }
+    var childrenKey = handlerSettings(name).children;
+    var deferredKey = handlerSettings(name).deferredChildren;
+    var own = ownAttributes(name, descriptor);
+    errors = errors.concat(clbTemplate.check(own, path));
+    // template strings and references are validated once resolved.
+    var templatePathsList = clbTemplate.templatePaths(own, path);
+    angular.forEach(clbTemplate.references(own, path), function(ref) {
+      templatePathsList.push(ref.path);
+    });
+    angular.forEach(validateSchema(name, descriptor, path), function(e) {
+      if (templatePathsList.indexOf(e.path) === -1) {
+        errors.push(e);
+      }
+    });
+    if (childrenKey) {
+      errors = errors.concat(validateTaskList(descriptor[childrenKey],
+        path + '.' + childrenKey));
+    }
+    if (deferredKey) {
+      errors = errors.concat(validateTaskList(descriptor[deferredKey],
+        path + '.' + deferredKey));
+    }
+    return errors.concat(validateTaskList(descriptor.after, path + '.after'));
   }
 
-  Task.prototype = {
-    /**
-     * Launch the task.
-     *
-     * @memberof module:clb-automator.clbAutomator.Task
-     * @param {object} context current context will be merged into the default
-     *                         one.
-     * @return {Promise} promise to return the result of the task
-     */
-    run: function(context) {
-      var self = this;
-      // run an intance of task only once.
-      if (self.state !== 'idle') {
-        return self.promise;
-      }
-      context = angular.extend({}, this.defaultContext, context);
-      var onSuccess = function(result) {
-        var subContext = angular.copy(context);
-        subContext[self.name] = result;
-        return self.runSubtasks(subContext)
-        .then(function() {
-          self.state = 'success';
-          return result;
-        });
+  /**
+   * Validate a task descriptor against its handler schema.
+   *
+   * Keys common to all tasks are not part of the validated object.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name       the task name
+   * @param  {object} descriptor the task descriptor
+   * @param  {string} path       the JSON path of the descriptor
+   * @return {Array}             a list of ``{path, message}`` violations
+   * @private
+   */
+  function validateSchema(name, descriptor, path) {
+    var schema = handlerSettings(name).schema;
+    if (!schema) {
+      return [];
+    }
+    var handlerDescriptor = angular.extend({}, descriptor);
+    angular.forEach(commonSchema.properties, function(v, key) {
+      delete handlerDescriptor[key];
+    });
+    return clbJsonSchema.validate(schema, handlerDescriptor, path);
+  }
+
+  /**
+   * Return a copy of the descriptor keys that belong to the task itself:
+   * keys common to all tasks, the children definitions of a composite
+   * task and the literal keys of the handler are removed.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name       the task name
+   * @param  {object} descriptor the task descriptor
+   * @return {object}            the task own attributes
+   * @private
+   */
+  function ownAttributes(name, descriptor) {
+    var r = angular.extend({}, descriptor);
+    angular.forEach(commonSchema.properties, function(v, key) {
+      delete r[key];
+    });
+    var options = handlerSettings(name);
+    if (options.children) {
+      delete r[options.children];
+    }
+    if (options.deferredChildren) {
+      delete r[options.deferredChildren];
+    }
+    if (descriptor && descriptor.interpolate !== true) {
+      angular.forEach(options.literal, function(key) {
+        delete r[key];
+      });
+    }
+    return r;
+  }
+
+  /**
+   * Return the object the ``when`` condition and the ``{{ }}`` placeholders
+   * of a task are evaluated against: the task context extended with the
+   * ``variables`` found in it.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} context a task context
+   * @return {object}         the evaluation scope
+   * @private
+   */
+  function evaluationScope(context) {
+    return angular.extend({}, context.variables, context);
+  }
+
+  /**
+   * Check the references between the tasks of a tree.
+   *
+   * Task ids must be unique, references must target an existing id and
+   * must not create a dependency cycle, taking into account the order
+   * in which tasks are run: subtasks start after their parent handler
+   * succeeded, composite tasks wait for their children and sequential
+   * children wait for the previous one.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} root the root of the tasks tree
+   * @return {Array}     a list of ``{path, message}`` violations
+   * @private
+   */
+  function checkDependencies(root) {
+    var errors = [];
+    var tasks = [];
+    var byId = {};
+    var prerequisites = {};
+    var refEdges = [];
+    var node = function(t, event) {
+      return t.path + '#' + event;
+    };
+    var require = function(from, to) {
+      prerequisites[from] = prerequisites[from] || [];
+      prerequisites[from].push(to);
+    };
+    var reachable = function(from, target, visited) {
+      if (from === target) {
+        return true;
+      }
+      visited[from] = true;
+      var next = prerequisites[from] || [];
+      for (var i = 0; i < next.length; i++) {
+        if (!visited[next[i]] && reachable(next[i], target, visited)) {
+          return true;
+        }
+      }
+      return false;
+    };
+    var walk = function(t) {
+      tasks.push(t);
+      var id = t.descriptor.id;
+      if (id) {
+        if (byId[id]) {
+          errors.push({path: t.path + '.id', message: 'is not unique'});
+        } else {
+          byId[id] = t;
+        }
+      }
+      angular.forEach(t.children.concat(t.subtasks), walk);
+    };
+    walk(root);
+
+    angular.forEach(tasks, function(t) {
+      require(node(t, 'handler'), node(t, 'start'));
+      require(node(t, 'done'), node(t, 'handler'));
+      angular.forEach(t.subtasks, function(sub) {
+        require(node(sub, 'start'), node(t, 'handler'));
+        require(node(t, 'done'), node(sub, 'done'));
+      });
+      angular.forEach(t.children, function(child, i) {
+        require(node(child, 'start'), node(t, 'start'));
+        require(node(t, 'handler'), node(child, 'done'));
+        if (i > 0 && handlerSettings(t.name).sequential) {
+          require(node(child, 'start'), node(t.children[i - 1], 'done'));
+        }
+      });
+    });
+    angular.forEach(tasks, function(t) {
+      var refs = clbTemplate.references(ownAttributes(t.name, t.descriptor),
+        t.path);
+      angular.forEach(refs, function(ref) {
+        if (!byId[ref.id]) {
+          errors.push({
+            path: ref.path,
+            message: 'references an unknown task id ' + ref.id
+          });
+          return;
+        }
+        var edge = {
+          from: node(t, 'start'),
+          to: node(byId[ref.id], 'handler'),
+          path: ref.path
+        };
+        require(edge.from, edge.to);
+        refEdges.push(edge);
+      });
+    });
+    angular.forEach(refEdges, function(edge) {
+      if (reachable(edge.to, edge.from, {})) {
+        errors.push({path: edge.path, message: 'creates a dependency cycle'});
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Return an HbpError listing the violations found in a descriptor.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Array} errors      a list of ``{path, message}`` violations
+   * @param  {object} descriptor the invalid descriptor
+   * @return {HbpError}          a HbpError instance
+   * @private
+   */
+  function invalidDescriptorError(errors, descriptor) {
+    var messages = [];
+    angular.forEach(errors, function(e) {
+      messages.push(e.path + ' ' + e.message);
+    });
+    return hbpErrorService.error({
+      type: 'InvalidDescriptor',
+      message: 'Invalid descriptor: ' + messages.join(', '),
+      data: {
+        errors: errors,
+        descriptor: descriptor
+      }
+    });
+  }
+
+  /**
+   * @class Task
+   * @memberof module:clb-automator.clbAutomator
+   * @desc
+   * Instantiate a task given the given `config`.
+   * The task can then be run using the `run()` instance method.
+   * @param {string} name the name of the task to instantiate
+   * @param {object} [descriptor] a configuration object that will determine
+   *                            which task to run and in which order
+   * @param {object} [descriptor.after] an array of task to run after this one
+   * @param {object} [context] a default context to run the task with
+   * @param {string} [path] the JSON path of the task in the descriptor tree,
+   *                        default to ``$.<name>``
+   * @see module:clb-automator.task
+   *
+   */
+  function Task(name, descriptor, context, path) {
+    if (!handlers[name]) {
+      throw new Error('TaskNotFound');
+    }
+    descriptor = descriptor || {};
+    context = context || {};
+    this.state = 'idle';
+    this.name = name;
+    this.path = path || '$.' + name;
+    this.descriptor = descriptor;
+    this.resolvedDescriptor = descriptor;
+    this.defaultContext = context;
+    this.state = 'idle';
+    this.promise = null;
+    this.result = null;
+    this.error = null;
+    this.startedAt = null;
+    this.endedAt = null;
+    this.history = [];
+    this.cancelToken = null;
+    this.runId = null;
+    this.restored = false;
+    this.reused = null;
+    var childrenKey = handlerSettings(name).children;
+    this.children = childrenKey ?
+      createSubtasks(descriptor[childrenKey], this.path + '.' + childrenKey) :
+      [];
+    this.subtasks = createSubtasks(descriptor.after, this.path + '.after');
+    this.parent = null;
+    angular.forEach(this.children.concat(this.subtasks), function(task) {
+      task.parent = this;
+    }, this);
+  }
+
+  Task.prototype = {
+    /**
+     * Launch the task.
+     *
+     * In dry-run mode, the ``plan`` hook of the handler is called instead
+     * of the handler itself and the promise resolves with a plan node
+     * ``{name, descriptor, plan, subtasks}`` where ``subtasks`` is the list
+     * of the subtasks plan nodes.
+     *
+     * A task referencing another one using a ``$ref:<id>`` string waits
+     * for the result of the referenced task before it starts. The results
+     * of the tasks with an ``id`` are available in ``task.outputs``.
+     *
+     * A task with a falsy ``when`` condition is not run. It resolves with
+     * ``undefined`` and its state and the state of all its descendants is
+     * set to ``skipped``.
+     *
+     * When the task or one of its subtasks fails, every step that completed
+     * during the run is rolled back in reverse order using the ``undo`` hook
+     * of its handler. The rejected error then has a ``rollback`` attribute
+     * listing the outcome of each rollback.
+     *
+     * The run is cancelled when ``options.cancelToken`` resolves or when
+     * ``cancel()`` is called: running handlers are abandoned, tasks that
+     * are not started yet are not run and all of them end in the
+     * ``cancelled`` state. The promise is rejected with a ``Cancelled``
+     * HbpError, after the completed steps are rolled back.
+     *
+     * With the ``journal`` option, the state and result of each task is
+     * saved under the run id so that ``clbAutomator.resume`` can continue
+     * the run later. Results must be serializable to JSON.
+     *
+     * When the run fails, the rejected error has a ``report`` attribute
+     * containing the run report.
+     *
+     * A task with ``optional: true`` or ``onError: 'continue'`` that fails
+     * does not fail its parent: it resolves with ``undefined`` and its
+     * pending subtasks are skipped. By default, no task is started once
+     * a task failed. With ``failFast: false``, the tasks that do not depend
+     * on the failed one are run. In both cases, every failed task is listed
+     * in ``task.failures`` and in the ``failures`` of the report and of the
+     * rejected error.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {object} context current context will be merged into the default
+     *                         one.
+     * @param {object} [options] run options
+     * @param {boolean} [options.dryRun] plan the task instead of running it
+     * @param {boolean} [options.rollback] set to ``false`` to keep what has
+     *                                     been done when a task fails
+     * @param {Function} [options.onEvent] called with an event object each
+     *                                     time a task of the run changes
+     *                                     state. See ``emit`` for the event
+     *                                     format.
+     * @param {Promise} [options.cancelToken] cancel the run when resolved
+     * @param {boolean|object} [options.journal] ``true`` to save the state
+     *                                     and result of each task using
+     *                                     ``clbAutomatorJournal`` or a store
+     *                                     with the same interface
+     * @param {string} [options.runId] the id of the run, available as
+     *                                 ``task.runId``. Generated by default.
+     * @param {boolean} [options.report] resolve with the run report instead
+     *                                   of the task result, see ``report``
+     * @param {boolean} [options.failFast] set to ``false`` to keep running
+     *                                     the tasks that do not depend on
+     *                                     a failed task
+     * @param {boolean} [options.ensure] run the tasks in idempotent mode,
+     *                                   see ``isIdempotent``
+     * @return {Promise} promise to return the result of the task
+     */
+    run: function(context, options) {
+      // run an intance of task only once.
+      if (this.state !== 'idle') {
+        return this.promise;
+      }
+      return runTask(this, context, options);
+    },
+
+    /**
+     * Return the report of this task and all its descendants.
+     *
+     * The report is a tree of plain objects that can be serialized to JSON.
+     * Each node has the following keys:
+     *
+     * - ``name``, ``path`` and ``state`` of the task
+     * - ``descriptor``: the interpolated descriptor, without the subtasks
+     *   and children definitions
+     * - ``startedAt``, ``endedAt``: ISO 8601 timestamps, or null
+     * - ``duration``: in milliseconds, once ended
+     * - ``attempts``: the number of calls to the handler
+     * - ``result``: a summary of the result keeping the identifying
+     *   attributes of objects like ``id``, ``_uuid``, ``name`` or ``title``
+     * - ``error``: the ``type``, ``message`` and ``code`` of the error
+     * - ``children`` and ``subtasks``: the reports of the children and
+     *   subtasks
+     *
+     * The top level node also has the ``runId`` and the ``failures`` of
+     * the run, a list of ``{path, name, error}``.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @return {object} the task report
+     */
+    report: function() {
+      var report = taskReport(this);
+      report.runId = this.runId;
+      report.failures = (this.failures || []).map(function(failure) {
+        return {
+          path: failure.path,
+          name: failure.name,
+          error: {
+            type: failure.error.type,
+            message: failure.error.message,
+            code: failure.error.code
+          }
+        };
+      });
+      return report;
+    },
+
+    /**
+     * Cancel the run this task belongs to.
+     *
+     * It has no effect if the task is not running or if the run is
+     * already settled.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {any} [reason] the reason of the cancellation
+     */
+    cancel: function(reason) {
+      if (this.runState) {
+        cancelRun(this.runState, reason);
+      }
+    },
+
+    /**
+     * Run the task handler then its subtasks as part of the run
+     * described by ``runState``.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {object} context current context will be merged into the default
+     *                         one.
+     * @param {object} runState state shared by all the tasks of a run
+     * @return {Promise} promise to return the result of the task
+     * @private
+     */
+    execute: function(context, runState) {
+      var self = this;
+      if (self.state !== 'idle') {
+        return self.promise;
+      }
+      self.runState = runState;
+      self.cancelToken = runState.cancel.promise;
+      if (runState.cancelled) {
+        return self.abort(runState);
+      }
+      context = angular.extend({}, this.defaultContext, context);
+      var dependencies = [];
+      var ids = {};
+      angular.forEach(clbTemplate.references(
+        ownAttributes(self.name, self.descriptor)), function(ref) {
+        if (!ids[ref.id]) {
+          ids[ref.id] = true;
+          dependencies.push(output(runState, ref.id).promise);
+        }
+      });
+      if (!dependencies.length) {
+        return self.start(context, runState);
+      }
+      self.state = 'waiting';
+      self.promise = $q.all(dependencies).then(function() {
+        return self.start(context, runState);
+      }, function(err) {
+        return self.fail(err, runState);
+      });
+      return self.promise;
+    },
+
+    /**
+     * Run the task handler then its subtasks, once the tasks it references
+     * produced their result.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {object} context the task context
+     * @param {object} runState state shared by all the tasks of a run
+     * @return {Promise} promise to return the result of the task
+     * @private
+     */
+    start: function(context, runState) {
+      var self = this;
+      var options = runState.options;
+      if (runState.cancelled) {
+        return self.abort(runState);
+      }
+      // Another branch failed: do not start anything new.
+      if (runState.failed && options.failFast !== false) {
+        self.skip(runState);
+        emit(runState, 'taskSkipped', self);
+        self.promise = $q.when();
+        return self.promise;
+      }
+      // The condition is ignored in dry-run mode as the context only
+      // contains plans.
+      if (!options.dryRun && !self.isEnabled(context)) {
+        self.skip(runState);
+        emit(runState, 'taskSkipped', self);
+        self.promise = $q.when();
+        return self.promise;
+      }
+      var onSuccess = function(result) {
+        runState.steps.push({
+          task: self,
+          descriptor: self.resolvedDescriptor,
+          result: result,
+          context: context
+        });
+        self.result = result;
+        publish(runState, self, result);
+        writeJournal(runState, self, {
+          result: result,
+          reused: self.reused,
+          completed: true
+        });
+        var subContext = angular.copy(context);
+        subContext[self.name] = result;
+        return self.runSubtasks(subContext, runState)
+        .then(function(subResults) {
+          self.state = 'success';
+          self.endedAt = new Date();
+          emit(runState, 'taskSucceeded', self, {result: result});
+          if (options.dryRun) {
+            return {
+              name: self.name,
+              descriptor: descriptorWithoutSubtasks(self.resolvedDescriptor),
+              plan: result,
+              subtasks: subResults
+            };
+          }
+          return result;
+        });
       };
       var onError = function(err) {
-        self.state = 'error';
-        // noop operation if is already one
-        return $q.reject(hbpErrorService.error(err));
+        return self.fail(err, runState);
+      };
+      var handler = options.dryRun ?
+        planHandler(self.name) :
+        handlers[self.name];
+      self.state = 'progress';
+      self.startedAt = new Date();
+      emit(runState, 'taskStarted', self);
+      var promise;
+      try {
+        // In dry-run mode, the previous results are only plans so
+        // placeholders that cannot be resolved are kept.
+        self.resolvedDescriptor = self.resolveDescriptor(context,
+          options.dryRun);
+        // Composite tasks are run again so that their children are
+        // restored one by one.
+        var recorded = completedEntry(runState, self);
+        if (recorded && !isComposite(self)) {
+          self.restored = true;
+          self.reused = recorded.reused || null;
+          promise = $q.when(recorded.result);
+        } else {
+          promise = self.runHandler(handler, context, runState);
+        }
+      } catch (ex) {
+        promise = $q.reject(ex);
+      }
+      self.promise = promise
+        .then(onSuccess)
+        .catch(onError);
+      return self.promise;
+    },
+
+    /**
+     * Return a copy of the task descriptor where the references are resolved
+     * and the ``{{ }}`` placeholders are interpolated using the given context.
+     * Referenced results are inserted as is, their own strings are not
+     * interpolated.
+     *
+     * Only the task own attributes are interpolated. Subtasks and children
+     * are interpolated when they are run.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param  {object} context the task context
+     * @param  {boolean} [lenient] keep the placeholders that cannot be
+     *                             resolved instead of throwing an error
+     * @return {object} the interpolated descriptor
+     * @throws {HbpError} an ``UndefinedVariable`` error if a reference or a
+     *                    placeholder cannot be resolved or an
+     *                    ``InvalidDescriptor`` error
+     *                    if the interpolated descriptor is invalid
+     * @private
+     */
+    resolveDescriptor: function(context, lenient) {
+      // In lenient (dry-run) mode, results are plans: references are kept.
+      // A single pass so referenced results are inserted untouched.
+      var r = clbTemplate.resolve(ownAttributes(this.name, this.descriptor),
+        lenient ? {} : this.runState.results, evaluationScope(context),
+        this.path, lenient);
+      if (r.errors.length) {
+        var messages = [];
+        angular.forEach(r.errors, function(e) {
+          messages.push(e.path + ' ' + e.message);
+        });
+        throw hbpErrorService.error({
+          type: 'UndefinedVariable',
+          message: 'Cannot interpolate descriptor: ' + messages.join(', '),
+          data: {
+            errors: r.errors,
+            descriptor: this.descriptor
+          }
+        });
+      }
+      var descriptor = angular.extend({}, this.descriptor, r.value);
+      if (!lenient) {
+        var errors = validateSchema(this.name, descriptor, this.path);
+        if (errors.length) {
+          throw invalidDescriptorError(errors, descriptor);
+        }
+      }
+      return descriptor;
+    },
+
+    /**
+     * Tell if the handler should look for the resources it would create
+     * and reuse them, so that a descriptor can be applied repeatedly to
+     * converge to the same state.
+     *
+     * It is enabled by the ``ensure`` attribute of the descriptor or, if
+     * it is not set, by the ``ensure`` run option.
+     *
+     * The handler records what it reused in ``task.reused``, a value
+     * serializable to JSON, so that its ``undo`` hook keeps it.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @return {boolean} true if the task runs in idempotent mode
+     */
+    isIdempotent: function() {
+      var ensure = this.resolvedDescriptor.ensure;
+      if (angular.isDefined(ensure)) {
+        return Boolean(ensure);
+      }
+      return Boolean(this.runState && this.runState.options.ensure);
+    },
+
+    /**
+     * Evaluate the ``when`` condition of the task.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param  {object} context the task context
+     * @return {boolean} true if the task should run
+     * @private
+     */
+    isEnabled: function(context) {
+      var condition = this.descriptor.when;
+      if (angular.isUndefined(condition)) {
+        return true;
+      }
+      if (angular.isString(condition)) {
+        return Boolean($parse(condition)(evaluationScope(context)));
+      }
+      return Boolean(condition);
+    },
+
+    /**
+     * Mark this task and all its descendant tasks as skipped.
+     *
+     * Tasks referencing a skipped task fail.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {object} runState state shared by all the tasks of a run
+     * @private
+     */
+    skip: function(runState) {
+      this.state = 'skipped';
+      if (this.descriptor.id) {
+        output(runState, this.descriptor.id).reject(
+          unresolvedReferenceError(this.descriptor.id, 'has been skipped'));
+      }
+      angular.forEach(this.children.concat(this.subtasks), function(task) {
+        task.skip(runState);
+      });
+    },
+
+    /**
+     * Mark the task as failed.
+     *
+     * The failure is added to the run failures unless it comes from
+     * a descendant task. An optional task resolves with ``undefined``
+     * and skips its pending subtasks instead of failing its parent.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {any} err the error
+     * @param {object} runState state shared by all the tasks of a run
+     * @return {Promise} promise rejected with the HbpError or resolved for
+     *                   an optional task
+     * @private
+     */
+    fail: function(err, runState) {
+      var self = this;
+      if (runState.cancelled) {
+        return self.abort(runState);
+      }
+      self.state = 'error';
+      // noop operation if is already one
+      self.error = hbpErrorService.error(err);
+      self.endedAt = new Date();
+      emit(runState, 'taskFailed', self, {error: self.error});
+      var known = runState.failures.some(function(failure) {
+        return failure.error === self.error;
+      });
+      if (!known) {
+        runState.failures.push({
+          path: self.path,
+          name: self.name,
+          error: self.error
+        });
+      }
+      if (isOptional(self)) {
+        skipPendingTasks(self, runState);
+      }
+      if (runState.options.failFast === false || isContained(self)) {
+        releaseOutputs(self, runState);
+      } else {
+        failRun(runState);
+      }
+      if (isOptional(self)) {
+        return $q.when();
+      }
+      return $q.reject(self.error);
+    },
+
+    /**
+     * Mark the task as cancelled.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {object} runState state shared by all the tasks of a run
+     * @return {Promise} promise rejected with the ``Cancelled`` error
+     * @private
+     */
+    abort: function(runState) {
+      this.state = 'cancelled';
+      this.error = runState.cancelled;
+      if (this.startedAt) {
+        this.endedAt = new Date();
+      }
+      emit(runState, 'taskCancelled', this, {error: this.error});
+      this.promise = $q.reject(this.error);
+      return this.promise;
+    },
+
+    /**
+     * Call the task handler, retrying it according to the task retry policy.
+     *
+     * The retry policy is ``descriptor.retry`` merged into
+     * ``clbAutomator.defaults.retry``:
+     *
+     * - ``maxAttempts``: the maximum number of calls to the handler
+     * - ``delay``: milliseconds to wait before the first retry
+     * - ``factor``: the delay is multiplied by this factor after each retry
+     * - ``retryOn``: the list of error types to retry, all errors
+     *   are retried when it is not set
+     *
+     * Each attempt is recorded in ``task.history`` and a ``taskRetry`` event
+     * is emitted before each retry.
+     *
+     * An attempt that lasts more than ``descriptor.timeout`` milliseconds,
+     * or ``clbAutomator.defaults.timeout`` if not set, fails with
+     * a ``TaskTimeout`` error. The pending handler promise is abandoned and
+     * the cancel token of the attempt, ``this.cancelToken`` in the handler,
+     * is resolved so that its requests are aborted. If the abandoned
+     * attempt succeeds anyway, its result is given to the ``undo`` hook
+     * so that a retry does not leave a duplicate behind.
+     *
+     * The returned promise is rejected as soon as the run is cancelled,
+     * whatever the state of the handler promise. The result of a handler
+     * that still succeeds after the run is cancelled is given to its
+     * ``undo`` hook.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param {Function} handler the function to call
+     * @param {object} context the task context
+     * @param {object} runState state shared by all the tasks of a run
+     * @return {Promise} promise of the handler result
+     * @private
+     */
+    runHandler: function(handler, context, runState) {
+      var self = this;
+      var descriptor = self.resolvedDescriptor;
+      var policy = angular.extend({}, defaults.retry, descriptor.retry);
+      var timeout = angular.isDefined(descriptor.timeout) ?
+        descriptor.timeout :
+        defaults.timeout;
+      var attempt = function(count) {
+        if (runState.cancelled) {
+          return $q.reject(runState.cancelled);
+        }
+        var entry = {
+          attempt: count,
+          startedAt: new Date()
+        };
+        self.history.push(entry);
+        // Each attempt has its own token, chained to the run one.
+        var abort = $q.defer();
+        var abandoned = false;
+        abort.promise.then(function() {
+          abandoned = true;
+        });
+        runState.cancel.promise.then(abort.resolve);
+        self.cancelToken = abort.promise;
+        var promise = invokeHandler(self, handler, context, runState, count);
+        promise.then(function(result) {
+          if (abandoned) {
+            undoAbandoned(self, result, context, runState);
+          }
+        });
+        if (timeout) {
+          promise = withTimeout(promise, self, timeout, abort);
+        }
+        return promise.then(function(result) {
+          entry.endedAt = new Date();
+          entry.state = 'success';
+          return result;
+        }, function(err) {
+          err = hbpErrorService.error(err);
+          entry.endedAt = new Date();
+          entry.state = 'error';
+          entry.error = err;
+          if (runState.cancelled || count >= policy.maxAttempts ||
+              (policy.retryOn && policy.retryOn.indexOf(err.type) === -1)) {
+            return $q.reject(err);
+          }
+          var delay = policy.delay * Math.pow(policy.factor, count - 1);
+          $log.debug('Retry task', self.path, 'in', delay, 'ms');
+          emit(runState, 'taskRetry', self, {
+            attempt: count,
+            delay: delay,
+            error: err
+          });
+          return $timeout(function() {
+            return attempt(count + 1);
+          }, delay);
+        });
+      };
+      var deferred = $q.defer();
+      attempt(1).then(deferred.resolve, deferred.reject);
+      runState.cancel.promise.then(function() {
+        deferred.reject(runState.cancelled);
+      });
+      return deferred.promise;
+    },
+
+    /**
+     * Run all subtasks of the this tasks.
+     *
+     * The returned promise is settled once every subtask is settled, so
+     * that no subtask is still running when a failure is reported.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param  {object} context the current context
+     * @param  {object} runState state shared by all the tasks of a run
+     * @return {Array}          all the results in an array
+     * @private
+     */
+    runSubtasks: function(context, runState) {
+      return runTasks(this.subtasks, context, runState);
+    },
+
+    /**
+     * Run the children of a composite task.
+     *
+     * Composite tasks are registered with the ``children`` option. Their
+     * handler is responsible to run the children using this method.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param  {object|Function} context the context to run the children
+     *                          with or a function returning the context of
+     *                          the child task and index it receives
+     * @param  {number} [concurrency] the maximum number of children running
+     *                                at the same time, default to all
+     * @param  {Array} [tasks]  the children to run, default to all
+     * @return {Promise}        promise of the children results in an array
+     */
+    runChildren: function(context, concurrency, tasks) {
+      return runTasks(tasks || this.children, context, this.runState,
+        concurrency);
+    },
+
+    /**
+     * Create children tasks at run time, for composite tasks whose
+     * children are not known in advance.
+     *
+     * The task definitions are validated like the initial descriptor tree
+     * and appended to ``task.children``. Run them using ``runChildren``.
+     *
+     * @memberof module:clb-automator.clbAutomator.Task
+     * @param  {Array} taskDefs a list of task definitions
+     * @param  {string} key     the name used in the JSON path of the new
+     *                          children
+     * @return {Array}          the new Task instances
+     * @throws {HbpError} an ``InvalidDescriptor`` error
+     */
+    addChildren: function(taskDefs, key) {
+      var path = this.path + '.' + key;
+      var errors = validateTaskList(taskDefs, path);
+      if (errors.length) {
+        throw invalidDescriptorError(errors, taskDefs);
+      }
+      var tasks = createSubtasks(taskDefs, path);
+      angular.forEach(tasks, function(task) {
+        task.parent = this;
+      }, this);
+      var previous = this.children;
+      this.children = previous.concat(tasks);
+      if (this.runState) {
+        errors = checkDependencies(this.runState.root);
+        if (errors.length) {
+          this.children = previous;
+          throw invalidDescriptorError(errors, taskDefs);
+        }
+      }
+      return tasks;
+    }
+  };
+
+  /**
+   * Run ``root`` as the top level task of a new run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} root        the top level task
+   * @param  {object} [context] the run context
+   * @param  {object} [options] the run options, see ``Task.run``
+   * @param  {object} [record]  the journal of the run to resume
+   * @return {Promise}          promise of the top level task result
+   * @private
+   */
+  function runTask(root, context, options, record) {
+    var runState = {
+      options: options || {},
+      runId: (options && options.runId) || uuid4.generate(),
+      steps: [],
+      outputs: {},
+      results: {},
+      failed: false,
+      failures: [],
+      cancel: $q.defer(),
+      cancelled: null,
+      settled: false
+    };
+    runState.root = root;
+    runState.journal = openJournal(root, context, runState, record);
+    root.runId = runState.runId;
+    root.outputs = runState.results;
+    root.failures = runState.failures;
+    if (runState.options.cancelToken) {
+      $q.when(runState.options.cancelToken).then(function(reason) {
+        cancelRun(runState, reason);
+      });
+    }
+    var promise = root.execute(context, runState)
+    .finally(function() {
+      runState.settled = true;
+    })
+    .catch(function(err) {
+      if (runState.cancelled) {
+        cancelPendingTasks(root, runState);
+      }
+      if (runState.options.dryRun || runState.options.rollback === false) {
+        return $q.reject(err);
+      }
+      return rollback(runState.steps).then(function(report) {
+        // What has been undone must be done again when the run is resumed.
+        angular.forEach(runState.steps, function(step) {
+          if (step.undone) {
+            writeJournal(runState, step.task, {completed: false});
+          }
+        });
+        err.rollback = report;
+        return $q.reject(err);
+      });
+    })
+    .then(function(result) {
+      return runState.options.report ? root.report() : result;
+    }, function(err) {
+      if (angular.isObject(err)) {
+        err.failures = runState.failures;
+        err.report = root.report();
+      }
+      return $q.reject(err);
+    })
+    .finally(function() {
+      if (runState.journal) {
+        runState.journal.record.state = root.state;
+        writeJournal(runState);
+      }
+    });
+    root.promise = promise;
+    return promise;
+  }
+
+  /**
+   * Return the journal store to use for the given ``journal`` option.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {boolean|object} journal the ``journal`` run option
+   * @return {object}                 a store or null
+   * @private
+   */
+  function journalStore(journal) {
+    if (journal === true) {
+      return clbAutomatorJournal;
+    }
+    return journal || null;
+  }
+
+  /**
+   * Prepare the journal of a run.
+   *
+   * The journal is a JSON object ``{runId, state, descriptor, context,
+   * tasks}`` where ``tasks`` maps the path of each task to its ``state``,
+   * its ``result``, a ``completed`` flag once the result is recorded and
+   * the ``type`` and ``message`` of its ``error``.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} root        the top level task
+   * @param  {object} [context] the run context
+   * @param  {object} runState  state shared by all the tasks of a run
+   * @param  {object} [record]  the journal of a previous run
+   * @return {object}           ``{store, record}`` or null when the run is
+   *                            not journaled
+   * @private
+   */
+  function openJournal(root, context, runState, record) {
+    var store = journalStore(runState.options.journal);
+    if (!store || runState.options.dryRun) {
+      return null;
+    }
+    if (!record) {
+      record = {
+        runId: runState.runId,
+        descriptor: {},
+        context: angular.extend({}, root.defaultContext, context),
+        tasks: {}
+      };
+      record.descriptor[root.name] = root.descriptor;
+    }
+    record.state = 'progress';
+    return {
+      store: store,
+      record: record
+    };
+  }
+
+  /**
+   * Update the journal entry of ``task`` and save the journal.
+   *
+   * A failure to save the journal is logged but does not stop the run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {Task} [task]     the task to update the entry of
+   * @param  {object} [entry]  the attributes to set in the entry
+   * @private
+   */
+  function writeJournal(runState, task, entry) {
+    var journal = runState.journal;
+    if (!journal) {
+      return;
+    }
+    if (task) {
+      journal.record.tasks[task.path] = angular.extend(
+        journal.record.tasks[task.path] || {}, entry);
+    }
+    var logError = function(err) {
+      $log.error('Cannot save the journal of run', journal.record.runId, err);
+    };
+    try {
+      $q.when(journal.store.save(journal.record.runId, journal.record))
+      .catch(logError);
+    } catch (ex) {
+      logError(ex);
+    }
+  }
+
+  /**
+   * Test if a task has children tasks.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task a task
+   * @return {boolean}   true for composite tasks
+   * @private
+   */
+  function isComposite(task) {
+    var options = handlerSettings(task.name);
+    return Boolean(options.children || options.composite ||
+      options.deferredChildren);
+  }
+
+  /**
+   * Return the journal entry of a task whose result has been recorded
+   * by a previous run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {Task} task       a task of the run
+   * @return {object}          the journal entry or undefined
+   * @private
+   */
+  function completedEntry(runState, task) {
+    var entry = runState.journal && runState.journal.record.tasks[task.path];
+    return entry && entry.completed ? entry : undefined;
+  }
+
+  /**
+   * Run a list of tasks with at most ``concurrency`` tasks running at the
+   * same time.
+   *
+   * Once a task failed, the tasks that are not started yet are not run,
+   * unless the ``failFast`` run option is ``false``.
+   * The returned promise is settled once every started task is settled, so
+   * that no task is still running when a failure is reported.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Array} tasks       the Task instances to run
+   * @param  {object|Function} context the context to run the tasks with or
+   *                             a function of the task and its index
+   *                             returning it
+   * @param  {object} runState   state shared by all the tasks of a run
+   * @param  {number} [concurrency] default to all tasks at once
+   * @return {Promise}           promise of the results in an array
+   * @private
+   */
+  function runTasks(tasks, context, runState, concurrency) {
+    var results = [];
+    var errors = [];
+    var next = 0;
+    var failFast = runState.options.failFast !== false;
+    var worker = function() {
+      if ((failFast && errors.length) || next >= tasks.length) {
+        return $q.when();
+      }
+      var i = next++;
+      var taskContext = angular.isFunction(context) ?
+        context(tasks[i], i) :
+        context;
+      return tasks[i].execute(taskContext, runState)
+      .then(function(result) {
+        results[i] = result;
+      }, function(err) {
+        errors.push(err);
+      })
+      .then(worker);
+    };
+    var workers = [];
+    var count = Math.min(concurrency || tasks.length, tasks.length);
+    for (var i = 0; i < count; i++) {
+      workers.push(worker());
+    }
+    return $q.all(workers).then(function() {
+      if (errors.length) {
+        return $q.reject(errors[0]);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Call ``fn`` and return a promise of its result, rejected if it throws.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Function} fn the function to call
+   * @return {Promise}     promise of the result
+   * @private
+   */
+  function tryCall(fn) {
+    try {
+      return $q.when(fn());
+    } catch (ex) {
+      return $q.reject(ex);
+    }
+  }
+
+  /**
+   * Call a task handler through the middlewares added with ``use``.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task         the running task
+   * @param  {Function} handler  the handler or plan hook to call
+   * @param  {object} context    the task context
+   * @param  {object} runState   state shared by all the tasks of a run
+   * @param  {number} count      the attempt number
+   * @return {Promise}           promise of the handler result
+   * @private
+   */
+  function invokeHandler(task, handler, context, runState, count) {
+    var descriptor = task.resolvedDescriptor;
+    var call = function() {
+      return handler.call(task, descriptor, context);
+    };
+    if (!middlewares.length) {
+      return tryCall(call);
+    }
+    var invocation = {
+      name: task.name,
+      descriptor: descriptor,
+      context: context,
+      task: task,
+      runId: runState.runId,
+      attempt: count,
+      dryRun: Boolean(runState.options.dryRun)
+    };
+    var hooks = function(name) {
+      return middlewares.filter(function(middleware) {
+        return angular.isFunction(middleware[name]);
+      });
+    };
+    var promise = $q.when();
+    angular.forEach(hooks('before'), function(middleware) {
+      promise = promise.then(function() {
+        return tryCall(function() {
+          return middleware.before(invocation);
+        });
+      });
+    });
+    promise = promise.then(function() {
+      return tryCall(call);
+    });
+    angular.forEach(hooks('after'), function(middleware) {
+      promise = promise.then(function(result) {
+        return tryCall(function() {
+          return middleware.after(invocation, result);
+        }).then(function(value) {
+          return angular.isDefined(value) ? value : result;
+        });
+      });
+    });
+    angular.forEach(hooks('error'), function(middleware) {
+      promise = promise.catch(function(err) {
+        return tryCall(function() {
+          return middleware.error(invocation, err);
+        }).then(function() {
+          return $q.reject(err);
+        });
+      });
+    });
+    return promise;
+  }
+
+  /**
+   * Return a promise settled like ``promise`` unless it takes more than
+   * ``timeout`` milliseconds. It is then rejected with a ``TaskTimeout``
+   * HbpError and ``abort`` is resolved with the same error.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Promise} promise the handler promise
+   * @param  {Task} task       the task running the handler
+   * @param  {number} timeout  the delay in milliseconds
+   * @param  {object} abort    the deferred of the attempt cancel token
+   * @return {Promise}         the new promise
+   * @private
+   */
+  function withTimeout(promise, task, timeout, abort) {
+    var deferred = $q.defer();
+    var timer = $timeout(function() {
+      var err = hbpErrorService.error({
+        type: 'TaskTimeout',
+        message: 'Task ' + task.path + ' timed out after ' + timeout + 'ms',
+        data: {
+          path: task.path,
+          name: task.name,
+          timeout: timeout
+        }
+      });
+      deferred.reject(err);
+      abort.resolve(err);
+    }, timeout);
+    promise.then(deferred.resolve, deferred.reject).finally(function() {
+      $timeout.cancel(timer);
+    });
+    return deferred.promise;
+  }
+
+  /**
+   * Return the deferred of the result of the task with the given ``id``.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {string} id       a task id
+   * @return {object}          a deferred instance
+   * @private
+   */
+  function output(runState, id) {
+    if (!runState.outputs[id]) {
+      runState.outputs[id] = $q.defer();
+      if (runState.failed) {
+        runState.outputs[id].reject(
+          unresolvedReferenceError(id, 'did not complete'));
+      }
+    }
+    return runState.outputs[id];
+  }
+
+  /**
+   * Make the result of a task available to the tasks referencing it.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {Task} task       a task that just produced its result
+   * @param  {any} result      the task result
+   * @private
+   */
+  function publish(runState, task, result) {
+    var id = task.descriptor.id;
+    if (!id) {
+      return;
+    }
+    runState.results[id] = result;
+    output(runState, id).resolve(result);
+  }
+
+  /**
+   * Mark the run as failed: tasks waiting for a result that is not
+   * produced yet will fail instead of waiting forever.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @private
+   */
+  function failRun(runState) {
+    runState.failed = true;
+    angular.forEach(runState.outputs, function(deferred, id) {
+      if (!runState.results.hasOwnProperty(id)) {
+        deferred.reject(unresolvedReferenceError(id, 'did not complete'));
+      }
+    });
+  }
+
+  /**
+   * Test if the failure of a task does not fail its parent.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task a task
+   * @return {boolean}   true for an optional task
+   * @private
+   */
+  function isOptional(task) {
+    return task.descriptor.optional === true ||
+      task.descriptor.onError === 'continue';
+  }
+
+  /**
+   * Test if the failure of a task is contained by itself or an optional
+   * ancestor and cannot fail the run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task a task
+   * @return {boolean}   true if the task or one of its ancestors is optional
+   * @private
+   */
+  function isContained(task) {
+    for (var t = task; t; t = t.parent) {
+      if (isOptional(t)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Skip the descendants of a failed optional task that did not start.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task       the failed task
+   * @param  {object} runState state shared by all the tasks of a run
+   * @private
+   */
+  function skipPendingTasks(task, runState) {
+    angular.forEach(task.children.concat(task.subtasks), function(t) {
+      if (t.state === 'idle') {
+        t.skip(runState);
+        emit(runState, 'taskSkipped', t);
+      } else {
+        skipPendingTasks(t, runState);
+      }
+    });
+  }
+
+  /**
+   * Fail the tasks waiting for the result of a failed task or of one of
+   * its descendants, without failing the whole run.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task       the failed task
+   * @param  {object} runState state shared by all the tasks of a run
+   * @private
+   */
+  function releaseOutputs(task, runState) {
+    var id = task.descriptor.id;
+    if (id && !runState.results.hasOwnProperty(id)) {
+      output(runState, id).reject(unresolvedReferenceError(id, 'failed'));
+    }
+    angular.forEach(task.children.concat(task.subtasks), function(t) {
+      releaseOutputs(t, runState);
+    });
+  }
+
+  /**
+   * Cancel a run: the cancel token given to the handlers is resolved and
+   * the tasks waiting for a reference are released.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {any} [reason]    the reason of the cancellation
+   * @private
+   */
+  function cancelRun(runState, reason) {
+    if (runState.cancelled || runState.settled) {
+      return;
+    }
+    $log.debug('Cancel automator run', reason);
+    runState.cancelled = hbpErrorService.error({
+      type: 'Cancelled',
+      message: 'The run has been cancelled',
+      data: {reason: reason}
+    });
+    runState.cancel.resolve(reason);
+    failRun(runState);
+  }
+
+  /**
+   * Mark the tasks of a cancelled run that never started as cancelled.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task       the root of the tasks tree
+   * @param  {object} runState state shared by all the tasks of a run
+   * @private
+   */
+  function cancelPendingTasks(task, runState) {
+    if (task.state === 'idle') {
+      task.abort(runState);
+    }
+    angular.forEach(task.children.concat(task.subtasks), function(t) {
+      cancelPendingTasks(t, runState);
+    });
+  }
+
+  /**
+   * Return an HbpError for a reference to a task that did not produce
+   * a result.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} id     the referenced task id
+   * @param  {string} reason why the task has no result
+   * @return {HbpError}      a HbpError instance
+   * @private
+   */
+  function unresolvedReferenceError(id, reason) {
+    return hbpErrorService.error({
+      type: 'UnresolvedReference',
+      message: 'Referenced task ' + id + ' ' + reason,
+      data: {id: id}
+    });
+  }
+
+  /**
+   * Notify the ``onEvent`` listener of a run.
+   *
+   * The listener receives an event object with the following keys:
+   *
+   * - ``runId``: the run id
+   * - ``type``: ``taskStarted``, ``taskRetry``, ``taskSucceeded``,
+   *   ``taskFailed``, ``taskSkipped`` or ``taskCancelled``
+   * - ``task``: the Task instance
+   * - ``path``: the JSON path of the task in the descriptor tree
+   * - ``name``: the task name
+   * - ``duration``: the task duration in milliseconds, once ended
+   * - ``result``: the handler result, for ``taskSucceeded``
+   * - ``error``: the HbpError, for ``taskFailed``, ``taskRetry`` and
+   *   ``taskCancelled``
+   * - ``attempt``: the number of the failed attempt, for ``taskRetry``
+   * - ``delay``: milliseconds before the next attempt, for ``taskRetry``
+   *
+   * The journal of the run, if any, is saved at the same time.
+   *
+   * An exception thrown by the listener is logged and ignored.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} runState state shared by all the tasks of a run
+   * @param  {string} type     the event type
+   * @param  {Task} task       the task emitting the event
+   * @param  {object} [extra]  additional event attributes
+   * @private
+   */
+  function emit(runState, type, task, extra) {
+    writeJournal(runState, task, {
+      state: task.state,
+      error: task.error ? {
+        type: task.error.type,
+        message: task.error.message
+      } : null
+    });
+    var listener = runState.options.onEvent;
+    if (!listener) {
+      return;
+    }
+    var event = angular.extend({
+      type: type,
+      runId: runState.runId,
+      task: task,
+      path: task.path,
+      name: task.name
+    }, extra);
+    if (task.startedAt && task.endedAt) {
+      event.duration = task.endedAt - task.startedAt;
+    }
+    try {
+      listener(event);
+    } catch (ex) {
+      $log.error('Automator event listener error', ex);
+    }
+  }
+
+  /**
+   * Undo the given steps in reverse order.
+   *
+   * Each step is undone using the ``undo`` hook of its handler. Steps
+   * without hook are ignored. A failing rollback does not prevent the
+   * previous steps to be rolled back.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Array} steps the steps recorded during a run
+   * @return {Promise}     promise of a list of ``{name, descriptor, state,
+   *                       error}`` where ``state`` is ``'success'`` or
+   *                       ``'error'``
+   * @private
+   */
+  function rollback(steps) {
+    var report = [];
+    var promise = $q.when();
+    angular.forEach(steps.slice().reverse(), function(step) {
+      var undo = handlerSettings(step.task.name).undo;
+      if (!undo) {
+        return;
+      }
+      promise = promise.then(function() {
+        var entry = {
+          name: step.task.name,
+          descriptor: step.descriptor
+        };
+        report.push(entry);
+        return $q.when(undo.call(step.task, step.result, step.descriptor,
+          step.context))
+        .then(function() {
+          entry.state = 'success';
+          step.undone = true;
+        }, function(err) {
+          $log.error('Cannot rollback task', step.task.name, err);
+          entry.state = 'error';
+          entry.error = hbpErrorService.error(err);
+        });
+      });
+    });
+    return promise.then(function() {
+      return report;
+    });
+  }
+
+  /**
+   * Undo the result of a handler that succeeded after its task had been
+   * abandoned, so that nothing it created is left behind.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task       the abandoned task
+   * @param  {any} result      the handler result
+   * @param  {object} context  the task context
+   * @param  {object} runState state shared by all the tasks of a run
+   * @private
+   */
+  function undoAbandoned(task, result, context, runState) {
+    if (runState.options.dryRun || isComposite(task)) {
+      return;
+    }
+    var undo = handlerSettings(task.name).undo;
+    if (!undo) {
+      $log.warn('Cannot undo the late result of task', task.path);
+      return;
+    }
+    $log.debug('Undo the late result of task', task.path);
+    tryCall(function() {
+      return undo.call(task, result, task.resolvedDescriptor, context);
+    }).catch(function(err) {
+      $log.error('Cannot rollback task', task.name, err);
+    });
+  }
+
+  /**
+   * Return the function to call in place of the handler ``name``
+   * in dry-run mode.
+   *
+   * Handlers that do not provide a ``plan`` hook are described by their
+   * name and descriptor.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {string} name the task name
+   * @return {Function}    a function with the same signature as a handler
+   * @private
+   */
+  function planHandler(name) {
+    var plan = handlerSettings(name).plan;
+    if (plan) {
+      return plan;
+    }
+    return function(descriptor) {
+      $log.warn('No plan hook registered for task', name);
+      return {
+        action: name,
+        data: descriptorWithoutSubtasks(descriptor)
       };
-      self.state = 'progress';
-      self.promise = $q.when(handlers[self.name](self.descriptor, context))
-        .then(onSuccess)
-        .catch(onError);
-      return self.promise;
-    },
+    };
+  }
 
-    /**
-     * Run all subtasks of the this tasks.
-     *
-     * @memberof module:clb-automator.clbAutomator.Task
-     * @param  {object} context the current context
-     * @return {Array}          all the results in an array
-     */
-    runSubtasks: function(context) {
-      var promises = [];
-      angular.forEach(this.subtasks, function(task) {
-        promises.push(task.run(context));
+  /**
+   * Build the report node of a task, see ``Task.report``.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} task a task
+   * @return {object}    the report node
+   * @private
+   */
+  function taskReport(task) {
+    var descriptor = descriptorWithoutSubtasks(task.resolvedDescriptor);
+    var options = handlerSettings(task.name);
+    angular.forEach(['children', 'deferredChildren'], function(option) {
+      if (options[option]) {
+        delete descriptor[options[option]];
+      }
+    });
+    var report = {
+      name: task.name,
+      path: task.path,
+      state: task.state,
+      descriptor: angular.fromJson(angular.toJson(descriptor)),
+      startedAt: task.startedAt ? task.startedAt.toISOString() : null,
+      endedAt: task.endedAt ? task.endedAt.toISOString() : null,
+      attempts: task.history.length,
+      result: summarize(task.result, 0),
+      error: task.error ? {
+        type: task.error.type,
+        message: task.error.message,
+        code: task.error.code
+      } : null,
+      children: task.children.map(taskReport),
+      subtasks: task.subtasks.map(taskReport)
+    };
+    if (task.startedAt && task.endedAt) {
+      report.duration = task.endedAt - task.startedAt;
+    }
+    return report;
+  }
+
+  /**
+   * Return a JSON-serializable summary of a task result.
+   *
+   * Objects having identifying attributes are reduced to them. Nested
+   * values deeper than 3 levels are elided.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {any} value    a task result
+   * @param  {number} depth the depth of value in the result
+   * @return {any}          the summary
+   * @private
+   */
+  function summarize(value, depth) {
+    if (angular.isDate(value)) {
+      return value.toISOString();
+    }
+    if (angular.isFunction(value)) {
+      return undefined;
+    }
+    if (!angular.isObject(value)) {
+      return value;
+    }
+    if (depth >= 3) {
+      return angular.isArray(value) ? '[' + value.length + ' items]' : '{...}';
+    }
+    if (angular.isArray(value)) {
+      return value.map(function(v) {
+        return summarize(v, depth + 1);
       });
-      return $q.all(promises);
     }
-  };
+    var identifiers = ['id', '_uuid', 'name', 'title', 'collabId'];
+    var keys = identifiers.filter(function(key) {
+      return angular.isDefined(value[key]);
+    });
+    if (!keys.length) {
+      keys = Object.keys(value).filter(function(key) {
+        return key.charAt(0) !== '$';
+      });
+    }
+    var summary = {};
+    keys.forEach(function(key) {
+      summary[key] = summarize(value[key], depth + 1);
+    });
+    return summary;
+  }
+
+  /**
+   * Return a shallow copy of ``descriptor`` without the subtasks definition.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {object} descriptor a task descriptor
+   * @return {object}            the descriptor without the ``after`` key
+   * @private
+   */
+  function descriptorWithoutSubtasks(descriptor) {
+    var r = angular.extend({}, descriptor);
+    delete r.after;
+    return r;
+  }
 
   /**
    * Return a HbpError when a parameter is missing.
@@ -300,7 +2607,7 @@ function clbAutomator(
    * @private
    */
   function missingDataError(key, config) {
-    return hbpErrorService({
+    return hbpErrorService.error({
       type: 'KeyError',
       message: 'Missing `' + key + '` key in config',
       data: {
@@ -313,18 +2620,35 @@ function clbAutomator(
    * Ensure that all parameters listed after config are presents.
    * @memberof module:clb-automator.clbAutomator
    * @param  {object} config task descriptor
-   * @return {object} created entities
+   * @param  {...string} key name of a mandatory key in ``config``
+   * @return {Promise} promise of the config, rejected with a ``KeyError``
+   *                   when a key is missing
    */
   function ensureParameters(config) {
-    var parameters = Array.prototype.splice(1);
-    for (var p in parameters) {
-      if (angular.isUndefined(parameters[p])) {
-        return $q.reject(missingDataError(p, config));
+    var parameters = Array.prototype.slice.call(arguments, 1);
+    for (var i = 0; i < parameters.length; i++) {
+      if (!config || angular.isUndefined(config[parameters[i]])) {
+        return $q.reject(missingDataError(parameters[i], config));
       }
     }
     return $q.when(config);
   }
 
+  /**
+   * Tell if a handler runs in idempotent mode, see ``Task.isIdempotent``.
+   *
+   * Handlers can also be called directly, without a Task instance as
+   * ``this``. They are then never idempotent.
+   *
+   * @memberof module:clb-automator.clbAutomator
+   * @param  {Task} [task] the running task
+   * @return {boolean}     true if the existing resources should be reused
+   */
+  function isIdempotent(task) {
+    return Boolean(task && angular.isFunction(task.isIdempotent) &&
+      task.isIdempotent());
+  }
+
   /**
    * Return an object that only contains attributes
    * from the `attrs` list.
@@ -347,10 +2671,19 @@ function clbAutomator(
 
   return {
     run: run,
+    load: load,
+    resume: resume,
     task: task,
+    defaults: defaults,
     handlers: handlers,
     registerHandler: registerHandler,
+    unregisterHandler: unregisterHandler,
+    listHandlers: listHandlers,
+    use: use,
+    templates: templates,
+    registerTemplate: registerTemplate,
     extractAttributes: extractAttributes,
-    ensureParameters: ensureParameters
+    ensureParameters: ensureParameters,
+    isIdempotent: isIdempotent
   };
 }
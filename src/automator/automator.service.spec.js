@@ -31,6 +31,1816 @@ describe('clbAutomator', function() {
     });
   });
 
+  describe('run(descriptor, context, {dryRun: true})', function() {
+    var def;
+    var plan;
+
+    beforeEach(inject(function(
+      hbpCollabStore,
+      hbpEntityStore,
+      hbpCollaboratoryNavStore
+    ) {
+      spyOn(hbpCollabStore, 'create');
+      spyOn(hbpEntityStore, 'copy');
+      spyOn(hbpCollaboratoryNavStore, 'addNode');
+      def = {
+        collab: {
+          title: 'My Collab',
+          content: 'My Collab Description',
+          after: [{
+            storage: {
+              entities: {'sample.ipynb': 'AAA-BBB'},
+              after: [{
+                nav: {
+                  name: 'Example Code',
+                  app: 'Jupyter Notebook',
+                  entity: 'sample.ipynb'
+                }
+              }]
+            }
+          }, {
+            overview: {
+              entity: 'BBB-CCC'
+            }
+          }]
+        }
+      };
+      automator.run(def, {}, {dryRun: true}).then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+    }));
+
+    it('should not call any handler', inject(function(
+      hbpCollabStore,
+      hbpEntityStore,
+      hbpCollaboratoryNavStore
+    ) {
+      expect(hbpCollabStore.create).not.toHaveBeenCalled();
+      expect(hbpEntityStore.copy).not.toHaveBeenCalled();
+      expect(hbpCollaboratoryNavStore.addNode).not.toHaveBeenCalled();
+    }));
+
+    it('should resolve with the plan of the top level task', function() {
+      expect(plan.name).toBe('collab');
+      expect(plan.descriptor.after).toBeUndefined();
+      expect(plan.plan).toEqual({
+        action: 'createCollab',
+        data: {title: 'My Collab', content: 'My Collab Description'}
+      });
+    });
+
+    it('should walk the whole subtasks tree', function() {
+      expect(plan.subtasks.length).toBe(2);
+      expect(plan.subtasks[0].plan).toEqual({
+        action: 'copyEntities',
+        data: {
+          collab: undefined,
+          entities: {'sample.ipynb': 'AAA-BBB'}
+        }
+      });
+      expect(plan.subtasks[0].subtasks[0].plan.action)
+      .toBe('createNavItem');
+      expect(plan.subtasks[0].subtasks[0].plan.data.entity)
+      .toBe('sample.ipynb');
+      expect(plan.subtasks[1].plan.action).toBe('writeOverview');
+    });
+
+    it('should describe handlers without plan hook', function() {
+      var handler = jasmine.createSpy('noplan');
+      automator.registerHandler('noplan', handler);
+      automator.run({noplan: {key: 'value'}}, {}, {dryRun: true})
+      .then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+      expect(handler).not.toHaveBeenCalled();
+      expect(plan.plan).toEqual({action: 'noplan', data: {key: 'value'}});
+    });
+  });
+
+  describe('rollback', function() {
+    var undo;
+    var error;
+
+    beforeEach(function() {
+      undo = {
+        parent: jasmine.createSpy('undoParent').and.returnValue($q.when()),
+        child: jasmine.createSpy('undoChild').and.returnValue($q.when())
+      };
+      automator.registerHandler('parent', function() {
+        return {id: 'parent'};
+      }, {undo: undo.parent});
+      automator.registerHandler('child', function() {
+        return {id: 'child'};
+      }, {undo: undo.child});
+      automator.registerHandler('noundo', function() {
+        return {id: 'noundo'};
+      });
+      automator.registerHandler('failure', function() {
+        return $q.reject({type: 'Failure'});
+      });
+      error = null;
+    });
+
+    var runAndCatch = function(def, options) {
+      automator.run(def, {}, options).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+    };
+
+    it('should undo completed steps in reverse order', function() {
+      var calls = [];
+      undo.parent.and.callFake(function() {
+        calls.push('parent');
+      });
+      undo.child.and.callFake(function() {
+        calls.push('child');
+      });
+      runAndCatch({parent: {after: [
+        {child: {after: [{noundo: {}}]}},
+        {failure: {}}
+      ]}});
+      expect(calls).toEqual(['child', 'parent']);
+      expect(undo.parent).toHaveBeenCalledWith(
+        {id: 'parent'}, jasmine.any(Object), jasmine.any(Object));
+      expect(undo.child).toHaveBeenCalledWith(
+        {id: 'child'}, jasmine.any(Object), jasmine.any(Object));
+    });
+
+    it('should report the rollback outcome on the error', function() {
+      undo.child.and.returnValue($q.reject({type: 'UndoFailed'}));
+      runAndCatch({parent: {after: [{child: {}}, {failure: {}}]}});
+      expect(error.type).toBe('Failure');
+      expect(error.rollback.length).toBe(2);
+      expect(error.rollback[0].name).toBe('child');
+      expect(error.rollback[0].state).toBe('error');
+      expect(error.rollback[0].error.type).toBe('UndoFailed');
+      expect(error.rollback[1].name).toBe('parent');
+      expect(error.rollback[1].state).toBe('success');
+    });
+
+    it('should wait for running siblings before rolling back', function() {
+      var deferred = $q.defer();
+      automator.registerHandler('slow', function() {
+        return deferred.promise;
+      }, {undo: undo.child});
+      automator.run({parent: {after: [{slow: {}}, {failure: {}}]}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error).toBe(null);
+      deferred.resolve({id: 'slow'});
+      scope.$digest();
+      expect(undo.child).toHaveBeenCalled();
+      expect(error.rollback.length).toBe(2);
+    });
+
+    it('should not rollback when disabled', function() {
+      runAndCatch({parent: {after: [{failure: {}}]}}, {rollback: false});
+      expect(undo.parent).not.toHaveBeenCalled();
+      expect(error.rollback).toBeUndefined();
+    });
+
+    it('should not rollback a successful run', function() {
+      automator.run({parent: {after: [{child: {}}]}});
+      scope.$digest();
+      expect(undo.parent).not.toHaveBeenCalled();
+      expect(undo.child).not.toHaveBeenCalled();
+    });
+
+    it('should delete a created collab', inject(function(
+      hbpCollabStore,
+      hbpCollaboratoryAppStore
+    ) {
+      var collab = {id: 1};
+      spyOn(hbpCollabStore, 'create').and.returnValue($q.when(collab));
+      spyOn(hbpCollabStore, 'delete').and.returnValue($q.when());
+      spyOn(hbpCollaboratoryAppStore, 'findOne')
+        .and.returnValue($q.reject({type: 'NotFound'}));
+      runAndCatch({collab: {
+        title: 'My Collab',
+        after: [{nav: {name: 'Nav', app: 'Unknown App'}}]
+      }});
+      expect(hbpCollabStore.delete).toHaveBeenCalledWith(collab);
+      expect(error.rollback[0].state).toBe('success');
+    }));
+  });
+
+  describe('descriptor validation', function() {
+    beforeEach(function() {
+      automator.registerHandler('greet', jasmine.createSpy('greet'), {
+        schema: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {type: 'string'}
+          }
+        }
+      });
+    });
+
+    it('should accept a valid descriptor', function() {
+      var task = automator.task('greet', {name: 'World', after: []});
+      expect(task).toBeDefined();
+    });
+
+    it('should throw an InvalidDescriptor error', function() {
+      var error;
+      try {
+        automator.task('greet', {name: 1});
+      } catch (ex) {
+        error = ex;
+      }
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors).toEqual([{
+        path: '$.greet.name',
+        message: 'should be string'
+      }]);
+    });
+
+    it('should list every violation in the tree', function() {
+      var error;
+      automator.run({
+        greet: {
+          after: [
+            {greet: {name: 'ok'}},
+            {greet: {name: false}}
+          ]
+        }
+      }).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors).toEqual([{
+        path: '$.greet',
+        message: 'should have required property name'
+      }, {
+        path: '$.greet.after[1].greet.name',
+        message: 'should be string'
+      }]);
+      expect(automator.handlers.greet).not.toHaveBeenCalled();
+    });
+
+    it('should validate the after key', function() {
+      var error;
+      automator.run({greet: {name: 'ok', after: {greet: {}}}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.data.errors).toEqual([{
+        path: '$.greet.after',
+        message: 'should be array'
+      }]);
+    });
+
+    it('should keep validating after an invalid common key', function() {
+      var error;
+      automator.run({greet: {
+        name: 1,
+        timeout: 'x',
+        after: [{greet: {name: 2}}]
+      }}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.data.errors.map(function(e) {
+        return e.path;
+      })).toEqual([
+        '$.greet.timeout',
+        '$.greet.name',
+        '$.greet.after[0].greet.name'
+      ]);
+    });
+
+    it('should validate the builtin tasks', function() {
+      var error;
+      automator.run({collab: {
+        title: 'My Collab',
+        after: [{nav: {name: 'Nav'}}, {storage: {entities: {a: 1}}}]
+      }}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.data.errors).toEqual([{
+        path: '$.collab.after[0].nav',
+        message: 'should have required property app'
+      }, {
+        path: '$.collab.after[1].storage.entities.a',
+        message: 'should be string'
+      }]);
+    });
+  });
+
+  describe('handler registry', function() {
+    var $log;
+
+    beforeEach(inject(function(_$log_) {
+      $log = _$log_;
+    }));
+
+    it('should list the handlers sorted by name', function() {
+      automator.registerHandler('zzz', angular.noop, {
+        description: 'Last task',
+        schema: {type: 'object'}
+      });
+      var list = automator.listHandlers();
+      var names = list.map(function(h) {
+        return h.name;
+      });
+      expect(names).toEqual(names.slice().sort());
+      expect(list[list.length - 1]).toEqual({
+        name: 'zzz',
+        description: 'Last task',
+        schema: {type: 'object'}
+      });
+    });
+
+    it('should describe the builtin tasks', function() {
+      var nav = automator.listHandlers().filter(function(h) {
+        return h.name === 'nav';
+      })[0];
+      expect(nav.description).toBe('Create a navigation item');
+      expect(nav.schema.required).toContain('app');
+    });
+
+    it('should return a copy of the schema', function() {
+      automator.listHandlers()[0].schema.type = 'string';
+      expect(automator.listHandlers()[0].schema.type).toBe('object');
+    });
+
+    it('should default to an empty description and no schema', function() {
+      expect(automator.listHandlers().filter(function(h) {
+        return h.name === 'mytask';
+      })).toEqual([]);
+      automator.registerHandler('mytask', angular.noop);
+      expect(automator.listHandlers().filter(function(h) {
+        return h.name === 'mytask';
+      })).toEqual([{name: 'mytask', description: '', schema: null}]);
+    });
+
+    it('should run a handler set directly', function() {
+      var report;
+      automator.handlers.direct = function(descriptor) {
+        return descriptor.value;
+      };
+      automator.run({direct: {value: 42}}, {}, {report: true})
+      .then(function(r) {
+        report = r;
+      });
+      scope.$digest();
+      expect(report.state).toBe('success');
+      expect(report.result).toBe(42);
+      expect(automator.listHandlers().filter(function(h) {
+        return h.name === 'direct';
+      })).toEqual([{name: 'direct', description: '', schema: null}]);
+    });
+
+    it('should warn when a handler is overridden', function() {
+      automator.registerHandler('nav', angular.noop);
+      expect($log.warn.logs.length).toBe(1);
+      expect(automator.handlers.nav).toBe(angular.noop);
+    });
+
+    it('should not warn with the override option', function() {
+      automator.registerHandler('nav', angular.noop, {override: true});
+      expect($log.warn.logs.length).toBe(0);
+    });
+
+    it('should unregister a handler', function() {
+      automator.registerHandler('mytask', angular.noop);
+      expect(automator.unregisterHandler('mytask')).toBe(true);
+      expect(automator.unregisterHandler('mytask')).toBe(false);
+      expect(automator.handlers.mytask).toBeUndefined();
+      var error;
+      try {
+        automator.task('mytask', {});
+      } catch (ex) {
+        error = ex;
+      }
+      expect(error.type).toBe('InvalidTask');
+    });
+  });
+
+  describe('use(middleware)', function() {
+    var calls;
+
+    beforeEach(function() {
+      calls = [];
+      automator.registerHandler('greet', function(descriptor) {
+        calls.push('handler');
+        if (descriptor.fail) {
+          throw new Error('Failure');
+        }
+        return 'Hello ' + descriptor.name;
+      });
+    });
+
+    var recorder = function(key) {
+      return {
+        before: function(invocation) {
+          calls.push(key + '.before:' + invocation.name);
+        },
+        after: function(invocation, result) {
+          calls.push(key + '.after:' + result);
+        },
+        error: function(invocation, err) {
+          calls.push(key + '.error:' + err.message);
+        }
+      };
+    };
+
+    it('should call the hooks in registration order', function() {
+      var result;
+      automator.use(recorder('a'));
+      automator.use(recorder('b'));
+      automator.run({greet: {name: 'World'}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(calls).toEqual([
+        'a.before:greet', 'b.before:greet', 'handler',
+        'a.after:Hello World', 'b.after:Hello World'
+      ]);
+      expect(result).toBe('Hello World');
+    });
+
+    it('should give the invocation details to the hooks', function() {
+      var invocation;
+      automator.use({
+        before: function(inv) {
+          invocation = inv;
+        }
+      });
+      var context = {variables: {}};
+      automator.run({greet: {name: 'World'}}, context, {runId: 'run1'});
+      scope.$digest();
+      expect(invocation.name).toBe('greet');
+      expect(invocation.descriptor).toEqual({name: 'World'});
+      expect(invocation.context).toEqual(context);
+      expect(invocation.runId).toBe('run1');
+      expect(invocation.attempt).toBe(1);
+      expect(invocation.dryRun).toBe(false);
+    });
+
+    it('should not call the handler when a before hook fails', function() {
+      var error;
+      automator.use({
+        before: function() {
+          return $q.reject({type: 'Forbidden'});
+        }
+      });
+      automator.use(recorder('a'));
+      automator.run({greet: {name: 'World'}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a.error:undefined']);
+      expect(error.type).toBe('Forbidden');
+    });
+
+    it('should replace the result with the after hook value', function() {
+      var result;
+      automator.use({
+        after: function(invocation, r) {
+          return $q.when(r + '!');
+        }
+      });
+      automator.run({greet: {name: 'World'}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toBe('Hello World!');
+    });
+
+    it('should call the error hooks when the handler fails', function() {
+      var error;
+      automator.use(recorder('a'));
+      automator.use({
+        error: function() {
+          throw new Error('Replaced');
+        }
+      });
+      automator.use(recorder('b'));
+      automator.run({greet: {name: 'World', fail: true}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual([
+        'a.before:greet', 'b.before:greet', 'handler',
+        'a.error:Failure', 'b.error:Replaced'
+      ]);
+      expect(error.message).toBe('Replaced');
+    });
+
+    it('should remove a middleware', function() {
+      var remove = automator.use(recorder('a'));
+      remove();
+      automator.run({greet: {name: 'World'}});
+      scope.$digest();
+      expect(calls).toEqual(['handler']);
+    });
+
+    it('should reject an invalid middleware', function() {
+      var error;
+      try {
+        automator.use({});
+      } catch (ex) {
+        error = ex;
+      }
+      expect(error.type).toBe('InvalidMiddleware');
+    });
+  });
+
+  describe('ensureParameters(config, ...keys)', function() {
+    it('should resolve when all keys are present', function() {
+      var config = {a: 1, b: 2};
+      var result;
+      automator.ensureParameters(config, 'a', 'b').then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toBe(config);
+    });
+
+    it('should reject with a KeyError', function() {
+      var error;
+      automator.ensureParameters({a: 1}, 'a', 'b').catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('KeyError');
+    });
+  });
+
+  describe('isIdempotent(task)', function() {
+    var modes;
+
+    beforeEach(function() {
+      modes = [];
+      automator.registerHandler('idem', function() {
+        modes.push(automator.isIdempotent(this));
+      }, {schema: {type: 'object', additionalProperties: false}});
+    });
+
+    it('should follow the ensure attribute and run option', function() {
+      automator.run({sequence: {tasks: [
+        {idem: {}},
+        {idem: {ensure: false}},
+        {idem: {ensure: true}}
+      ]}}, {}, {ensure: true});
+      scope.$digest();
+      automator.run({idem: {}});
+      scope.$digest();
+      expect(modes).toEqual([true, false, true, false]);
+    });
+
+    it('should be false without a task', function() {
+      expect(automator.isIdempotent()).toBe(false);
+      expect(automator.isIdempotent({})).toBe(false);
+    });
+
+    it('should validate the ensure attribute of every task', function() {
+      var error;
+      automator.run({idem: {ensure: 'yes'}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(modes).toEqual([]);
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.idem.ensure');
+    });
+  });
+
+  describe('run events', function() {
+    var events;
+    var deferred;
+
+    beforeEach(function() {
+      events = [];
+      deferred = $q.defer();
+      automator.registerHandler('parent', function() {
+        return {id: 'parent'};
+      });
+      automator.registerHandler('child', function() {
+        return deferred.promise;
+      });
+    });
+
+    var onEvent = function(event) {
+      events.push(event);
+    };
+
+    it('should notify task start and success', function() {
+      automator.run({parent: {after: [{child: {}}]}}, {}, {onEvent: onEvent});
+      scope.$digest();
+      expect(events.length).toBe(2);
+      expect(events[0].type).toBe('taskStarted');
+      expect(events[0].name).toBe('parent');
+      expect(events[0].path).toBe('$.parent');
+      expect(events[1].type).toBe('taskStarted');
+      expect(events[1].path).toBe('$.parent.after[0].child');
+
+      deferred.resolve({id: 'child'});
+      scope.$digest();
+      expect(events.length).toBe(4);
+      expect(events[2].type).toBe('taskSucceeded');
+      expect(events[2].name).toBe('child');
+      expect(events[2].result).toEqual({id: 'child'});
+      expect(events[2].duration).toEqual(jasmine.any(Number));
+      expect(events[3].type).toBe('taskSucceeded');
+      expect(events[3].name).toBe('parent');
+      expect(events[3].result).toEqual({id: 'parent'});
+    });
+
+    it('should notify task failure', function() {
+      automator.run({parent: {after: [{child: {}}]}}, {}, {onEvent: onEvent});
+      deferred.reject({type: 'Failure'});
+      scope.$digest();
+      expect(events[2].type).toBe('taskFailed');
+      expect(events[2].name).toBe('child');
+      expect(events[2].error.type).toBe('Failure');
+      expect(events[3].type).toBe('taskFailed');
+      expect(events[3].name).toBe('parent');
+    });
+
+    it('should expose the task state', function() {
+      var task = automator.task('parent', {after: [{child: {}}]});
+      task.run();
+      scope.$digest();
+      expect(task.state).toBe('progress');
+      expect(task.result).toEqual({id: 'parent'});
+      expect(task.startedAt).toEqual(jasmine.any(Date));
+      expect(task.subtasks[0].endedAt).toBe(null);
+      deferred.resolve({});
+      scope.$digest();
+      expect(task.state).toBe('success');
+      expect(task.endedAt).toEqual(jasmine.any(Date));
+    });
+
+    it('should ignore listener errors', function() {
+      var result;
+      deferred.resolve({});
+      automator.run({parent: {after: [{child: {}}]}}, {}, {
+        onEvent: function() {
+          throw new Error('listener error');
+        }
+      }).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toEqual({id: 'parent'});
+    });
+  });
+
+  describe('retry', function() {
+    var handler;
+    var attempts;
+    var $timeout;
+
+    beforeEach(inject(function(_$timeout_) {
+      $timeout = _$timeout_;
+      attempts = 0;
+      handler = jasmine.createSpy('flaky').and.callFake(function() {
+        attempts++;
+        if (attempts < 3) {
+          return $q.reject({type: 'HttpError'});
+        }
+        return {id: 'flaky'};
+      });
+      automator.registerHandler('flaky', handler);
+    }));
+
+    it('should not retry by default', function() {
+      var error;
+      automator.run({flaky: {}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(handler.calls.count()).toBe(1);
+      expect(error.type).toBe('HttpError');
+    });
+
+    it('should retry with backoff', function() {
+      var result;
+      automator.run({flaky: {retry: {maxAttempts: 3, delay: 100}}})
+      .then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(handler.calls.count()).toBe(1);
+      $timeout.flush(99);
+      expect(handler.calls.count()).toBe(1);
+      $timeout.flush(1);
+      expect(handler.calls.count()).toBe(2);
+      $timeout.flush(199);
+      expect(handler.calls.count()).toBe(2);
+      $timeout.flush(1);
+      expect(handler.calls.count()).toBe(3);
+      expect(result).toEqual({id: 'flaky'});
+    });
+
+    it('should use the global default policy', function() {
+      var result;
+      automator.defaults.retry.maxAttempts = 3;
+      automator.run({flaky: {retry: {delay: 1}}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      $timeout.flush();
+      $timeout.flush();
+      expect(result).toEqual({id: 'flaky'});
+      automator.defaults.retry.maxAttempts = 1;
+    });
+
+    it('should give up after maxAttempts', function() {
+      var error;
+      automator.run({flaky: {retry: {maxAttempts: 2, delay: 1}}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      $timeout.flush();
+      expect(handler.calls.count()).toBe(2);
+      expect(error.type).toBe('HttpError');
+    });
+
+    it('should only retry the given error types', function() {
+      var error;
+      automator.run({flaky: {retry: {maxAttempts: 3, retryOn: ['Other']}}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(handler.calls.count()).toBe(1);
+      expect(error.type).toBe('HttpError');
+    });
+
+    it('should record attempts in the task history', function() {
+      var events = [];
+      var task = automator.task('flaky', {retry: {maxAttempts: 3, delay: 1}});
+      task.run(null, {
+        onEvent: function(event) {
+          events.push(event.type);
+        }
+      });
+      scope.$digest();
+      $timeout.flush();
+      $timeout.flush();
+      expect(task.history.length).toBe(3);
+      expect(task.history[0].attempt).toBe(1);
+      expect(task.history[0].state).toBe('error');
+      expect(task.history[0].error.type).toBe('HttpError');
+      expect(task.history[2].state).toBe('success');
+      expect(events).toEqual([
+        'taskStarted', 'taskRetry', 'taskRetry', 'taskSucceeded'
+      ]);
+    });
+
+    it('should validate the retry block', function() {
+      var error;
+      automator.run({flaky: {retry: {max: 3}}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.flaky.retry.max');
+    });
+  });
+
+  describe('task timeout', function() {
+    var $timeout;
+    var deferred;
+    var error;
+
+    beforeEach(inject(function(_$timeout_) {
+      $timeout = _$timeout_;
+      error = undefined;
+      automator.registerHandler('hung', function() {
+        deferred = $q.defer();
+        return deferred.promise;
+      });
+    }));
+
+    var run = function(descriptor) {
+      automator.run(descriptor).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+    };
+
+    it('should reject a task that takes too long', function() {
+      run({hung: {timeout: 100}});
+      $timeout.flush(99);
+      expect(error).toBeUndefined();
+      $timeout.flush(1);
+      expect(error.type).toBe('TaskTimeout');
+      expect(error.data.path).toBe('$.hung');
+      expect(error.data.timeout).toBe(100);
+    });
+
+    it('should identify the path of a subtask', function() {
+      automator.registerHandler('quick', function() {
+        return 'done';
+      });
+      run({quick: {after: [{hung: {timeout: 100}}]}});
+      $timeout.flush(100);
+      expect(error.type).toBe('TaskTimeout');
+      expect(error.data.path).toBe('$.quick.after[0].hung');
+    });
+
+    it('should use the default timeout', function() {
+      automator.defaults.timeout = 50;
+      run({hung: {}});
+      $timeout.flush(50);
+      expect(error.type).toBe('TaskTimeout');
+    });
+
+    it('should disable the default timeout', function() {
+      automator.defaults.timeout = 50;
+      run({hung: {timeout: 0}});
+      $timeout.verifyNoPendingTasks();
+      expect(error).toBeUndefined();
+    });
+
+    it('should ignore a late result', function() {
+      var result;
+      automator.run({hung: {timeout: 100}}).then(function(r) {
+        result = r;
+      }, function(err) {
+        error = err;
+      });
+      scope.$digest();
+      $timeout.flush(100);
+      deferred.resolve('late');
+      scope.$digest();
+      expect(result).toBeUndefined();
+      expect(error.type).toBe('TaskTimeout');
+    });
+
+    it('should cancel the timer once the task settled', function() {
+      run({hung: {timeout: 100}});
+      scope.$apply(function() {
+        deferred.resolve('done');
+      });
+      $timeout.verifyNoPendingTasks();
+    });
+
+    it('should abort the requests of a timed out attempt', function() {
+      var tokens = [];
+      var aborted = [];
+      automator.registerHandler('hung', function() {
+        tokens.push(this.cancelToken);
+        this.cancelToken.then(function(reason) {
+          aborted.push(reason.type);
+        });
+        deferred = $q.defer();
+        return deferred.promise;
+      }, {override: true});
+      run({hung: {
+        timeout: 100,
+        retry: {maxAttempts: 2, delay: 10, retryOn: ['TaskTimeout']}
+      }});
+      $timeout.flush(100);
+      expect(aborted).toEqual(['TaskTimeout']);
+      $timeout.flush(10);
+      expect(tokens.length).toBe(2);
+      expect(tokens[1]).not.toBe(tokens[0]);
+      deferred.resolve('done');
+      scope.$digest();
+      expect(aborted).toEqual(['TaskTimeout']);
+    });
+
+    it('should undo the late result of a timed out attempt', function() {
+      var result;
+      var attempts = [];
+      var undo = jasmine.createSpy('undo');
+      automator.registerHandler('make', function() {
+        attempts.push($q.defer());
+        return attempts[attempts.length - 1].promise;
+      }, {undo: undo});
+      automator.run({make: {
+        timeout: 100,
+        retry: {maxAttempts: 2, delay: 10, retryOn: ['TaskTimeout']}
+      }}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      $timeout.flush(100);
+      $timeout.flush(10);
+      attempts[0].resolve({id: 1});
+      attempts[1].resolve({id: 2});
+      scope.$digest();
+      expect(result).toEqual({id: 2});
+      expect(undo.calls.count()).toBe(1);
+      expect(undo.calls.argsFor(0)[0]).toEqual({id: 1});
+    });
+
+    it('should retry a timed out task', function() {
+      run({hung: {
+        timeout: 100,
+        retry: {maxAttempts: 2, delay: 10, retryOn: ['TaskTimeout']}
+      }});
+      $timeout.flush(100);
+      $timeout.flush(10);
+      expect(error).toBeUndefined();
+      deferred.resolve('done');
+      scope.$digest();
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('conditional tasks', function() {
+    var handler;
+
+    beforeEach(function() {
+      handler = jasmine.createSpy('cond').and.returnValue({done: true});
+      automator.registerHandler('cond', handler);
+    });
+
+    it('should run the task when the condition is true', function() {
+      automator.run({cond: {when: 'collab.private'}}, {
+        collab: {private: true}
+      });
+      scope.$digest();
+      expect(handler).toHaveBeenCalled();
+    });
+
+    it('should skip the task and its subtree otherwise', function() {
+      var result = 'unset';
+      var events = [];
+      var task = automator.task('cond', {
+        when: '!collab.private',
+        after: [{cond: {}}]
+      });
+      task.run({collab: {private: true}}, {
+        onEvent: function(event) {
+          events.push(event.type);
+        }
+      }).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(handler).not.toHaveBeenCalled();
+      expect(result).toBeUndefined();
+      expect(task.state).toBe('skipped');
+      expect(task.subtasks[0].state).toBe('skipped');
+      expect(events).toEqual(['taskSkipped']);
+    });
+
+    it('should evaluate against parent results', function() {
+      automator.registerHandler('parent', function() {
+        return {count: 2};
+      });
+      automator.run({parent: {after: [
+        {cond: {key: 1, when: 'parent.count > 1'}},
+        {cond: {key: 2, when: 'parent.count > 2'}}
+      ]}});
+      scope.$digest();
+      expect(handler.calls.count()).toBe(1);
+      expect(handler.calls.argsFor(0)[0].key).toBe(1);
+    });
+
+    it('should support boolean conditions', function() {
+      automator.run({cond: {when: false}});
+      scope.$digest();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid expressions', function() {
+      var error;
+      automator.run({cond: {when: 'collab.'}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.cond.when');
+    });
+
+    it('should plan the task in dry-run mode', function() {
+      var plan;
+      automator.run({cond: {when: 'false'}}, {}, {dryRun: true})
+      .then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+      expect(plan.descriptor.when).toBe('false');
+    });
+  });
+
+  describe('descriptor templates', function() {
+    var handler;
+
+    beforeEach(function() {
+      handler = jasmine.createSpy('tpl').and.returnValue({id: 7});
+      automator.registerHandler('tpl', handler, {
+        schema: {
+          type: 'object',
+          properties: {
+            count: {type: 'integer'}
+          }
+        }
+      });
+    });
+
+    it('should interpolate variables', function() {
+      automator.run({tpl: {name: 'Hello {{user}}'}}, {
+        variables: {user: 'John'}
+      });
+      scope.$digest();
+      expect(handler.calls.argsFor(0)[0].name).toBe('Hello John');
+    });
+
+    it('should interpolate previous tasks results', function() {
+      automator.run({tpl: {
+        after: [{tpl: {count: '{{tpl.id}}', name: '{{tpl.id + 1}}'}}]
+      }});
+      scope.$digest();
+      expect(handler.calls.argsFor(1)[0].count).toBe(7);
+      expect(handler.calls.argsFor(1)[0].name).toBe(8);
+    });
+
+    it('should not interpolate the subtasks in advance', function() {
+      var task = automator.task('tpl', {
+        name: '{{user}}',
+        after: [{tpl: {name: '{{tpl.id}}'}}]
+      });
+      task.run({variables: {user: 'John'}});
+      scope.$digest();
+      expect(task.descriptor.name).toBe('{{user}}');
+      expect(task.resolvedDescriptor.name).toBe('John');
+      expect(task.resolvedDescriptor.after[0].tpl.name).toBe('{{tpl.id}}');
+    });
+
+    it('should fail on undefined variables', function() {
+      var error;
+      automator.run({tpl: {name: '{{unknown.name}}'}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(handler).not.toHaveBeenCalled();
+      expect(error.type).toBe('UndefinedVariable');
+      expect(error.data.errors[0].path).toBe('$.tpl.name');
+    });
+
+    it('should validate the interpolated descriptor', function() {
+      var error;
+      automator.run({tpl: {count: '{{value}}'}}, {variables: {value: 'a'}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(handler).not.toHaveBeenCalled();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.tpl.count');
+    });
+
+    it('should report template syntax errors up front', function() {
+      var error;
+      automator.run({tpl: {name: '{{user.}}'}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.tpl.name');
+    });
+
+    it('should keep unresolved placeholders in dry-run mode', function() {
+      var plan;
+      automator.run({tpl: {
+        name: '{{user}}',
+        after: [{tpl: {count: '{{tpl.id}}'}}]
+      }}, {variables: {user: 'John'}}, {dryRun: true}).then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+      expect(plan.descriptor.name).toBe('John');
+      expect(plan.subtasks[0].descriptor.count).toBe('{{tpl.id}}');
+    });
+  });
+
+  describe('non-critical tasks', function() {
+    var calls;
+
+    beforeEach(function() {
+      calls = [];
+      automator.registerHandler('step', function(descriptor) {
+        calls.push(descriptor.key);
+        if (descriptor.fail) {
+          return $q.reject({type: 'Failure', message: descriptor.key});
+        }
+        return descriptor.key;
+      });
+    });
+
+    it('should continue when an optional task fails', function() {
+      var result;
+      var task = automator.task('step', {key: 'collab', after: [
+        {step: {key: 'a', fail: true, optional: true, after: [
+          {step: {key: 'a1'}}
+        ]}},
+        {step: {key: 'b'}}
+      ]});
+      task.run().then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toBe('collab');
+      expect(calls).toEqual(['collab', 'a', 'b']);
+      expect(task.subtasks[0].state).toBe('error');
+      expect(task.subtasks[0].subtasks[0].state).toBe('skipped');
+      expect(task.failures.length).toBe(1);
+      expect(task.failures[0].path).toBe('$.step.after[0].step');
+      expect(task.failures[0].error.type).toBe('Failure');
+    });
+
+    it('should accept onError: continue', function() {
+      var result;
+      automator.run({step: {key: 'collab', after: [
+        {step: {key: 'a', fail: true, onError: 'continue'}}
+      ]}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result.result).toBe('collab');
+    });
+
+    it('should resolve the run with the result and the failures', function() {
+      var result;
+      automator.run({step: {key: 'collab', after: [
+        {step: {key: 'a', fail: true, optional: true}}
+      ]}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result.result).toBe('collab');
+      expect(result.failures.length).toBe(1);
+      expect(result.failures[0].path).toBe('$.step.after[0].step');
+    });
+
+    it('should resolve the run with the bare result without failures',
+    function() {
+      var result;
+      automator.run({step: {key: 'collab', after: [
+        {step: {key: 'a', optional: true}}
+      ]}}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toBe('collab');
+    });
+
+    it('should contain the failures of the optional task subtasks', function() {
+      var result;
+      automator.run({step: {key: 'collab', after: [
+        {step: {key: 'a', optional: true, after: [
+          {step: {key: 'a1', fail: true}}
+        ]}},
+        {step: {key: 'b'}}
+      ]}}, {}, {report: true}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result.state).toBe('success');
+      expect(result.failures.length).toBe(1);
+      expect(result.failures[0].path)
+        .toBe('$.step.after[0].step.after[0].step');
+    });
+
+    it('should fail the tasks referencing a failed optional task', function() {
+      var error;
+      automator.run({parallel: {tasks: [
+        {step: {key: 'a', id: 'a', fail: true, optional: true}},
+        {step: {key: '$ref:a'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('UnresolvedReference');
+    });
+
+    it('should stop at the first failure by default', function() {
+      var error;
+      automator.run({sequence: {tasks: [
+        {step: {key: 'a', fail: true}},
+        {step: {key: 'b'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a']);
+      expect(error.failures.length).toBe(1);
+    });
+
+    it('should not start the tasks of another branch', function() {
+      var error;
+      var b = $q.defer();
+      automator.registerHandler('slow', function() {
+        calls.push('b');
+        return b.promise;
+      });
+      var task = automator.task('parallel', {tasks: [
+        {step: {key: 'a', fail: true}},
+        {slow: {after: [{step: {key: 'c'}}]}}
+      ]});
+      task.run().catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      b.resolve('b');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b']);
+      expect(task.children[1].subtasks[0].state).toBe('skipped');
+      expect(error.type).toBe('Failure');
+    });
+
+    it('should run the other tasks without failFast', function() {
+      var error;
+      automator.run({sequence: {tasks: [
+        {step: {key: 'a', fail: true}},
+        {step: {key: 'b'}},
+        {step: {key: 'c', fail: true}}
+      ]}}, {}, {failFast: false, rollback: false}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+      expect(error.type).toBe('Failure');
+      expect(error.failures.length).toBe(2);
+      expect(error.failures[1].error.message).toBe('c');
+    });
+  });
+
+  describe('run report', function() {
+    beforeEach(function() {
+      automator.registerHandler('make', function(descriptor) {
+        if (descriptor.fail) {
+          return $q.reject({type: 'Failure', message: 'Cannot make it'});
+        }
+        return {
+          id: 1,
+          title: descriptor.title,
+          secret: 'not in the summary'
+        };
+      });
+    });
+
+    it('should resolve with the report of every task', function() {
+      var report;
+      automator.run({make: {title: 'Parent', after: [
+        {make: {title: '{{make.title}} child'}}
+      ]}}, {}, {report: true, runId: 'run1'}).then(function(r) {
+        report = r;
+      });
+      scope.$digest();
+      expect(report.runId).toBe('run1');
+      expect(report.name).toBe('make');
+      expect(report.path).toBe('$.make');
+      expect(report.state).toBe('success');
+      expect(report.descriptor).toEqual({title: 'Parent'});
+      expect(report.result).toEqual({id: 1, title: 'Parent'});
+      expect(report.attempts).toBe(1);
+      expect(report.startedAt).toEqual(jasmine.any(String));
+      expect(report.duration).toEqual(jasmine.any(Number));
+      expect(report.subtasks[0].descriptor).toEqual({title: 'Parent child'});
+      expect(report.subtasks[0].state).toBe('success');
+    });
+
+    it('should be serializable to JSON', function() {
+      var report;
+      automator.run({make: {}}, {}, {report: true}).then(function(r) {
+        report = r;
+      });
+      scope.$digest();
+      expect(angular.fromJson(angular.toJson(report))).toEqual(report);
+    });
+
+    it('should be attached to the error of a failed run', function() {
+      var error;
+      automator.run({sequence: {tasks: [
+        {make: {title: 'First'}},
+        {make: {fail: true}},
+        {make: {title: 'Never'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      var children = error.report.children;
+      expect(error.report.state).toBe('error');
+      expect(children[0].state).toBe('success');
+      expect(children[1].error.type).toBe('Failure');
+      expect(children[1].error.message).toBe('Cannot make it');
+      expect(children[2].state).toBe('idle');
+      expect(children[2].startedAt).toBe(null);
+    });
+
+    it('should summarize nested results', function() {
+      var task = automator.task('make', {});
+      task.result = {
+        'a.ipynb': {_uuid: 'a', name: 'a.ipynb', content: 'long'},
+        'deep': {a: {b: {c: {d: 1}}}}
+      };
+      expect(task.report().result).toEqual({
+        'a.ipynb': {_uuid: 'a', name: 'a.ipynb'},
+        'deep': {a: {b: '{...}'}}
+      });
+    });
+  });
+
+  describe('task references', function() {
+    var deferreds;
+    var calls;
+
+    beforeEach(function() {
+      deferreds = {};
+      calls = [];
+      automator.registerHandler('step', function(descriptor) {
+        calls.push(descriptor);
+        deferreds[descriptor.key] = $q.defer();
+        return deferreds[descriptor.key].promise;
+      });
+    });
+
+    it('should wait for the referenced task', function() {
+      automator.run({parallel: {tasks: [
+        {step: {key: 'a', input: '$ref:b.value'}},
+        {step: {key: 'b', id: 'b'}}
+      ]}});
+      scope.$digest();
+      expect(calls.length).toBe(1);
+      expect(calls[0].key).toBe('b');
+      deferreds.b.resolve({value: 42});
+      scope.$digest();
+      expect(calls.length).toBe(2);
+      expect(calls[1]).toEqual({key: 'a', input: 42});
+    });
+
+    it('should insert the referenced results as is', function() {
+      var result = Object.create({kind: 'result'});
+      result.text = '{{x}}';
+      automator.run({step: {key: 'b', id: 'b', after: [
+        {step: {key: 'a', input: '$ref:b', label: '{{x}}'}}
+      ]}}, {x: 'X'});
+      scope.$digest();
+      deferreds.b.resolve(result);
+      scope.$digest();
+      expect(calls[1].input).toBe(result);
+      expect(calls[1].input.text).toBe('{{x}}');
+      expect(calls[1].input.kind).toBe('result');
+      expect(calls[1].label).toBe('X');
+    });
+
+    it('should expose the named results', function() {
+      var task = automator.task('step', {key: 'a', id: 'first'});
+      task.run();
+      scope.$digest();
+      deferreds.a.resolve('A');
+      scope.$digest();
+      expect(task.outputs).toEqual({first: 'A'});
+    });
+
+    it('should fail when the referenced task fails', function() {
+      var error;
+      var task = automator.task('parallel', {tasks: [
+        {step: {key: 'a', input: '$ref:b'}},
+        {step: {key: 'b', id: 'b'}}
+      ]});
+      task.run().catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      deferreds.b.reject({type: 'Failure'});
+      scope.$digest();
+      expect(error.type).toBe('Failure');
+      expect(task.children[0].state).toBe('error');
+      expect(task.children[0].error.type).toBe('UnresolvedReference');
+    });
+
+    it('should reject references to unknown ids', function() {
+      var error;
+      automator.run({step: {key: 'a', input: '$ref:unknown'}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual([]);
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors).toEqual([{
+        path: '$.step.input',
+        message: 'references an unknown task id unknown'
+      }]);
+    });
+
+    it('should reject duplicated ids', function() {
+      var error;
+      automator.run({step: {key: 'a', id: 'a', after: [
+        {step: {key: 'b', id: 'a'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.step.after[0].step.id');
+    });
+
+    it('should reject dependency cycles', function() {
+      var error;
+      automator.run({sequence: {tasks: [
+        {step: {key: 'a', input: '$ref:b'}},
+        {step: {key: 'b', id: 'b'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(calls).toEqual([]);
+      expect(error.data.errors).toEqual([{
+        path: '$.sequence.tasks[0].step.input',
+        message: 'creates a dependency cycle'
+      }]);
+    });
+
+    it('should reject references to a subtask', function() {
+      var error;
+      automator.run({step: {key: 'a', input: '$ref:b', after: [
+        {step: {key: 'b', id: 'b'}}
+      ]}}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.data.errors[0].message).toBe('creates a dependency cycle');
+    });
+  });
+
+  describe('run cancellation', function() {
+    var deferreds;
+    var calls;
+    var tokens;
+    var $timeout;
+
+    beforeEach(inject(function(_$timeout_) {
+      $timeout = _$timeout_;
+    }));
+
+    beforeEach(function() {
+      deferreds = {};
+      calls = [];
+      tokens = [];
+      automator.registerHandler('step', function(descriptor) {
+        calls.push(descriptor.key);
+        tokens.push(this.cancelToken);
+        deferreds[descriptor.key] = $q.defer();
+        return deferreds[descriptor.key].promise;
+      });
+    });
+
+    it('should stop the run when the token resolves', function() {
+      var error;
+      var cancel = $q.defer();
+      var task = automator.task('step', {key: 'a', after: [
+        {step: {key: 'b'}}
+      ]});
+      task.run({}, {cancelToken: cancel.promise}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      cancel.resolve('Dialog closed');
+      scope.$digest();
+      expect(error.type).toBe('Cancelled');
+      expect(error.data.reason).toBe('Dialog closed');
+      expect(calls).toEqual(['a']);
+      expect(task.state).toBe('cancelled');
+      expect(task.subtasks[0].state).toBe('cancelled');
+    });
+
+    it('should not start remaining tasks', function() {
+      var task = automator.task('sequence', {tasks: [
+        {step: {key: 'a'}},
+        {step: {key: 'b'}}
+      ]});
+      task.run();
+      scope.$digest();
+      deferreds.a.resolve('A');
+      task.cancel();
+      scope.$digest();
+      expect(calls).toEqual(['a']);
+      expect(task.children[0].state).toBe('cancelled');
+      expect(task.children[1].state).toBe('cancelled');
+    });
+
+    it('should give the cancel token to the handlers', function() {
+      var aborted = false;
+      var task = automator.task('step', {key: 'a'});
+      task.run();
+      scope.$digest();
+      tokens[0].then(function() {
+        aborted = true;
+      });
+      task.cancel();
+      scope.$digest();
+      expect(aborted).toBe(true);
+    });
+
+    it('should not retry a cancelled task', function() {
+      var task = automator.task('step', {key: 'a', retry: {maxAttempts: 3}});
+      task.run();
+      scope.$digest();
+      task.cancel();
+      deferreds.a.reject({type: 'Aborted'});
+      scope.$digest();
+      $timeout.flush(10000);
+      expect(calls).toEqual(['a']);
+      expect(task.error.type).toBe('Cancelled');
+    });
+
+    it('should emit taskCancelled events', function() {
+      var events = [];
+      var task = automator.task('step', {key: 'a'});
+      task.run({}, {onEvent: function(event) {
+        events.push(event.type);
+      }});
+      scope.$digest();
+      task.cancel();
+      scope.$digest();
+      expect(events).toEqual(['taskStarted', 'taskCancelled']);
+    });
+
+    it('should undo what a cancelled handler creates afterwards', function() {
+      var undo = jasmine.createSpy('undo');
+      automator.registerHandler('make', function(descriptor) {
+        deferreds[descriptor.key] = $q.defer();
+        return deferreds[descriptor.key].promise;
+      }, {undo: undo});
+      var task = automator.task('make', {key: 'a'});
+      task.run();
+      scope.$digest();
+      task.cancel();
+      scope.$digest();
+      expect(undo).not.toHaveBeenCalled();
+      deferreds.a.resolve({id: 'created'});
+      scope.$digest();
+      expect(undo).toHaveBeenCalledWith({id: 'created'}, {key: 'a'}, {});
+      expect(undo.calls.mostRecent().object).toBe(task);
+    });
+
+    it('should have no effect once the run is settled', function() {
+      var result;
+      var task = automator.task('step', {key: 'a'});
+      task.run().then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      deferreds.a.resolve('A');
+      scope.$digest();
+      task.cancel();
+      scope.$digest();
+      expect(result).toBe('A');
+      expect(task.state).toBe('success');
+    });
+  });
+
+  describe('load(source)', function() {
+    var loaded;
+    var error;
+
+    var load = function(source, options) {
+      loaded = error = undefined;
+      automator.load(source, options).then(function(d) {
+        loaded = d;
+      }, function(err) {
+        error = err;
+      });
+      scope.$digest();
+    };
+
+    it('should parse a JSON string', function() {
+      load('{"collab": {"title": "My Collab"}}');
+      expect(loaded).toEqual({collab: {title: 'My Collab'}});
+    });
+
+    it('should parse a YAML string', function() {
+      load([
+        'collab:',
+        '  title: My Collab',
+        '  after:',
+        '    - nav:',
+        '        name: Introduction',
+        '        app: Rich Text Editor'
+      ].join('\n'));
+      expect(loaded).toEqual({collab: {
+        title: 'My Collab',
+        after: [{nav: {name: 'Introduction', app: 'Rich Text Editor'}}]
+      }});
+    });
+
+    it('should fetch the content of a file entity', inject(function(
+      hbpFileStore
+    ) {
+      var uuid = '155c1bcc-ee9c-43e2-8190-50c66befa1fa';
+      spyOn(hbpFileStore, 'getContent')
+        .and.returnValue($q.when('collab:\n  title: Stored'));
+      load(uuid);
+      expect(hbpFileStore.getContent).toHaveBeenCalledWith(uuid);
+      expect(loaded).toEqual({collab: {title: 'Stored'}});
+    }));
+
+    it('should report the line of syntax errors', function() {
+      load('collab:\n  title: My Collab\n after: [');
+      expect(error.type).toBe('DescriptorParseError');
+      expect(error.data.line).toBe(3);
+      expect(error.message).toContain('at line 3');
+    });
+
+    it('should report the line of JSON syntax errors', function() {
+      load('{\n  "collab": {\n    "title": "My Collab",\n  }}\n}');
+      expect(error.type).toBe('DescriptorParseError');
+      expect(error.data.line).toBe(5);
+    });
+
+    it('should run a list of tasks in sequence', function() {
+      load('- nav: {name: A, app: B}\n- nav: {name: C, app: D}');
+      expect(loaded).toEqual({sequence: {tasks: [
+        {nav: {name: 'A', app: 'B'}},
+        {nav: {name: 'C', app: 'D'}}
+      ]}});
+    });
+
+    it('should keep a list of tasks as is for a fragment', function() {
+      load('- nav: {name: A, app: B}\n- nav: {name: C, app: D}',
+        {fragment: true});
+      expect(loaded).toEqual([
+        {nav: {name: 'A', app: 'B'}},
+        {nav: {name: 'C', app: 'D'}}
+      ]);
+    });
+
+    it('should require a single top level task', function() {
+      load('collab: {title: A}\nnav: {name: B, app: C}');
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$');
+    });
+
+    it('should accept a descriptor object', function() {
+      load({collab: {title: 'My Collab'}});
+      expect(loaded).toEqual({collab: {title: 'My Collab'}});
+    });
+  });
+
+  describe('run journal', function() {
+    var store;
+    var calls;
+    var failures;
+
+    beforeEach(function() {
+      var records = {};
+      store = {
+        save: function(runId, record) {
+          records[runId] = angular.copy(record);
+        },
+        load: function(runId) {
+          return $q.when(records[runId] || null);
+        }
+      };
+      calls = [];
+      failures = {};
+      automator.registerHandler('step', function(descriptor) {
+        calls.push(descriptor.key);
+        if (failures[descriptor.key]) {
+          return $q.reject({type: 'Failure'});
+        }
+        return {key: descriptor.key};
+      }, {
+        undo: jasmine.createSpy('undo')
+      });
+    });
+
+    var descriptor = {step: {key: 'a', after: [
+      {step: {key: 'b'}},
+      {step: {key: 'c'}}
+    ]}};
+
+    it('should record the state and result of each task', function() {
+      automator.run(descriptor, {variables: {x: 1}}, {
+        journal: store,
+        runId: 'run1'
+      });
+      scope.$digest();
+      var record;
+      store.load('run1').then(function(r) {
+        record = r;
+      });
+      scope.$digest();
+      expect(record.state).toBe('success');
+      expect(record.descriptor).toEqual(descriptor);
+      expect(record.context).toEqual({variables: {x: 1}});
+      expect(record.tasks['$.step'].state).toBe('success');
+      expect(record.tasks['$.step'].result).toEqual({key: 'a'});
+      expect(record.tasks['$.step.after[1].step'].completed).toBe(true);
+    });
+
+    it('should generate a run id', function() {
+      var task = automator.task('step', {key: 'a'});
+      task.run({}, {journal: store});
+      scope.$digest();
+      expect(task.runId).toEqual(jasmine.any(String));
+    });
+
+    it('should not run succeeded tasks again on resume', function() {
+      var result;
+      failures.c = true;
+      automator.run(descriptor, {}, {
+        journal: store,
+        runId: 'run1',
+        rollback: false
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+      failures.c = false;
+      calls = [];
+      automator.resume('run1', {journal: store}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['c']);
+      expect(result).toEqual({key: 'a'});
+    });
+
+    it('should run again the tasks that have been rolled back', function() {
+      failures.c = true;
+      automator.run(descriptor, {}, {journal: store, runId: 'run1'});
+      scope.$digest();
+      failures.c = false;
+      calls = [];
+      automator.resume('run1', {journal: store});
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should not run again the tasks that cannot be undone', function() {
+      var notes = [];
+      automator.registerHandler('note', function(descriptor) {
+        notes.push(descriptor.key);
+      });
+      var noteDescriptor = {note: {key: 'n', after: [{step: {key: 'c'}}]}};
+      failures.c = true;
+      automator.run(noteDescriptor, {}, {journal: store, runId: 'run1'});
+      scope.$digest();
+      failures.c = false;
+      calls = [];
+      automator.resume('run1', {journal: store});
+      scope.$digest();
+      expect(notes).toEqual(['n']);
+      expect(calls).toEqual(['c']);
+    });
+
+    it('should restore the reused resources on resume', function() {
+      var undo = jasmine.createSpy('undo');
+      automator.registerHandler('reuse', function() {
+        this.reused = {a: true};
+        return {a: 1};
+      }, {undo: undo});
+      var reuseDescriptor = {reuse: {after: [{step: {key: 'c'}}]}};
+      failures.c = true;
+      automator.run(reuseDescriptor, {}, {
+        journal: store,
+        runId: 'run1',
+        rollback: false
+      });
+      scope.$digest();
+      automator.resume('run1', {journal: store});
+      scope.$digest();
+      expect(undo.calls.count()).toBe(1);
+      expect(undo.calls.mostRecent().object.restored).toBe(true);
+      expect(undo.calls.mostRecent().object.reused).toEqual({a: true});
+    });
+
+    it('should reject an unknown run id', function() {
+      var error;
+      automator.resume('unknown', {journal: store}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('RunNotFound');
+    });
+
+    it('should not stop the run when the journal cannot be saved', function() {
+      var result;
+      store.save = function() {
+        throw new Error('QuotaExceededError');
+      };
+      automator.run({step: {key: 'a'}}, {}, {journal: store})
+      .then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toEqual({key: 'a'});
+    });
+  });
+
   describe('task(name, descriptor, context)', function() {
     var name;
     var descriptor;
@@ -164,13 +1974,8 @@ describe('clbAutomator', function() {
           }
         }, {
           nav: {
-            items: [{
-              name: 'Experiment',
-              app: 'Test App'
-            }, {
-              name: 'My Nav',
-              app: 'Test App'
-            }]
+            name: 'Experiment',
+            app: 'Test App'
           }
         }]
       };
@@ -0,0 +1,257 @@
+angular.module('clb-automator')
+.run(function controlFlow(
+  $log,
+  $q,
+  clbAutomator,
+  clbTemplate
+) {
+  clbAutomator.registerHandler('sequence', sequence, {
+    description: 'Run a list of tasks one after the other',
+    children: 'tasks',
+    sequential: true,
+    plan: planSequence,
+    schema: {
+      type: 'object',
+      required: ['tasks'],
+      properties: {
+        tasks: {type: 'array', items: {type: 'object'}}
+      }
+    }
+  });
+  clbAutomator.registerHandler('forEach', forEach, {
+    description: 'Run a list of tasks for each element of a collection',
+    deferredChildren: 'tasks',
+    plan: planForEach,
+    schema: {
+      type: 'object',
+      required: ['items', 'tasks'],
+      properties: {
+        items: {type: ['array', 'object']},
+        as: {type: 'string', pattern: '^[A-Za-z_$][A-Za-z0-9_$]*$'},
+        tasks: {type: 'array', items: {type: 'object'}},
+        concurrency: {type: 'integer', minimum: 1}
+      }
+    }
+  });
+  clbAutomator.registerHandler('parallel', parallel, {
+    description: 'Run a list of tasks concurrently',
+    children: 'tasks',
+    plan: planParallel,
+    schema: {
+      type: 'object',
+      required: ['tasks'],
+      properties: {
+        tasks: {type: 'array', items: {type: 'object'}},
+        concurrency: {type: 'integer', minimum: 1}
+      }
+    }
+  });
+
+  /**
+   * Run a list of tasks one after the other, in the given order.
+   *
+   * A task starts only once the previous one and all its subtasks
+   * succeeded. Remaining tasks are not run when one fails.
+   *
+   * @example <caption>Create nav items in a deterministic order</caption>
+   * {
+   *   "sequence": {
+   *     "tasks": [
+   *       {"nav": {"name": "Introduction", "app": "Rich Text Editor"}},
+   *       {"nav": {"name": "Notebook", "app": "Jupyter Notebook"}}
+   *     ]
+   *   }
+   * }
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {Array} descriptor.tasks the list of tasks to run
+   * @param {object} context the current task context, given to each task
+   * @return {Promise} promise of the list of the tasks results
+   */
+  function sequence(descriptor, context) {
+    $log.debug('Run tasks in sequence', descriptor);
+    return this.runChildren(context, 1);
+  }
+
+  /**
+   * Run a list of tasks concurrently.
+   *
+   * @example <caption>Copy entities two by two</caption>
+   * {
+   *   "parallel": {
+   *     "concurrency": 2,
+   *     "tasks": [
+   *       {"storage": {"entities": {"a.ipynb": "155c1bcc-..."}}},
+   *       {"storage": {"entities": {"b.ipynb": "255c1bcc-..."}}},
+   *       {"storage": {"entities": {"c.ipynb": "355c1bcc-..."}}}
+   *     ]
+   *   }
+   * }
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {Array} descriptor.tasks the list of tasks to run
+   * @param {number} [descriptor.concurrency] the maximum number of tasks
+   *                                          running at the same time
+   * @param {object} context the current task context, given to each task
+   * @return {Promise} promise of the list of the tasks results
+   */
+  function parallel(descriptor, context) {
+    $log.debug('Run tasks in parallel', descriptor);
+    return this.runChildren(context, descriptor.concurrency);
+  }
+
+  /**
+   * Run a list of tasks for each element of a collection.
+   *
+   * ``items`` is an array or an object, usually given by a ``{{ }}``
+   * placeholder or a ``$ref:`` reference. For each element, the ``tasks``
+   * definitions are instantiated and run with the element available in
+   * the ``{{ }}`` placeholders as ``item`` (or the name given in ``as``),
+   * its position as ``$index`` and, for an object, its key as ``$key``.
+   *
+   * @example <caption>Create a nav item for each copied notebook</caption>
+   * {
+   *   "storage": {
+   *     "entities": {
+   *       "a.ipynb": "155c1bcc-...",
+   *       "b.ipynb": "255c1bcc-..."
+   *     },
+   *     "after": [{
+   *       "forEach": {
+   *         "items": "{{storage}}",
+   *         "as": "file",
+   *         "tasks": [{
+   *           "nav": {
+   *             "name": "{{$key}}",
+   *             "app": "Jupyter Notebook",
+   *             "entity": "{{file._uuid}}"
+   *           }
+   *         }]
+   *       }
+   *     }]
+   *   }
+   * }
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {Array|object} descriptor.items the collection to iterate over
+   * @param {string} [descriptor.as] the variable name of the element,
+   *                                 default to ``item``
+   * @param {Array} descriptor.tasks the task definitions to run for each
+   *                                 element
+   * @param {number} [descriptor.concurrency] the maximum number of tasks
+   *                                          running at the same time
+   * @param {object} context the current task context
+   * @return {Promise} promise of the list of the tasks results, in order
+   */
+  function forEach(descriptor, context) {
+    $log.debug('Run tasks for each item', descriptor);
+    return runEach(this, descriptor, context);
+  }
+
+  /**
+   * Plan the tasks of each element.
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the forEach plan
+   * @private
+   */
+  function planForEach(descriptor, context) {
+    var items = descriptor.items;
+    // In dry-run mode, previous tasks results are plans: the items can only
+    // be given by the run variables.
+    if (angular.isString(this.descriptor.items)) {
+      items = clbTemplate.interpolate(this.descriptor.items,
+        (context && context.variables) || {}, '$', true).value;
+    }
+    var plan = {
+      action: 'forEach',
+      data: {
+        items: items,
+        as: descriptor.as || 'item'
+      },
+      concurrency: descriptor.concurrency,
+      tasks: []
+    };
+    if (!angular.isObject(items)) {
+      return plan;
+    }
+    descriptor = angular.extend({}, descriptor, {items: items});
+    return runEach(this, descriptor, context).then(function(plans) {
+      plan.tasks = plans;
+      return plan;
+    });
+  }
+
+  /**
+   * Instantiate and run the tasks of each element.
+   * @param {Task} task the forEach task
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the list of the tasks results
+   * @private
+   */
+  function runEach(task, descriptor, context) {
+    var contexts = [];
+    var items = descriptor.items;
+    Object.keys(items).forEach(function(key) {
+      var item = items[key];
+      var variables = angular.extend({}, context && context.variables);
+      variables[descriptor.as || 'item'] = item;
+      variables.$index = contexts.length;
+      if (!angular.isArray(descriptor.items)) {
+        variables.$key = key;
+      }
+      contexts.push(angular.extend({}, context, {variables: variables}));
+    });
+    // The children already exist when the task is retried.
+    if (!task.children.length) {
+      try {
+        angular.forEach(contexts, function(itemContext, i) {
+          task.addChildren(angular.copy(descriptor.tasks), 'items[' + i + ']');
+        });
+      } catch (ex) {
+        return $q.reject(ex);
+      }
+    }
+    // Every item gets the same definitions, thus the same number of children,
+    // which can be more than the definitions as each key makes a task.
+    var count = task.children.length / contexts.length;
+    return task.runChildren(function(child, i) {
+      return contexts[Math.floor(i / count)];
+    }, descriptor.concurrency);
+  }
+
+  /**
+   * Plan each task of the sequence.
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the sequence plan
+   * @private
+   */
+  function planSequence(descriptor, context) {
+    return this.runChildren(context, 1).then(function(plans) {
+      return {
+        action: 'sequence',
+        tasks: plans
+      };
+    });
+  }
+
+  /**
+   * Plan each task run in parallel.
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the parallel plan
+   * @private
+   */
+  function planParallel(descriptor, context) {
+    return this.runChildren(context, descriptor.concurrency)
+    .then(function(plans) {
+      return {
+        action: 'parallel',
+        concurrency: descriptor.concurrency,
+        tasks: plans
+      };
+    });
+  }
+});
@@ -0,0 +1,279 @@
+/* eslint max-nested-callbacks: 0 */
+describe('control flow task handlers', function() {
+  var automator;
+  var scope;
+  var $q;
+  var deferreds;
+  var calls;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function($rootScope, _$q_, clbAutomator) {
+    automator = clbAutomator;
+    scope = $rootScope;
+    $q = _$q_;
+    deferreds = {};
+    calls = [];
+    automator.registerHandler('step', function(descriptor) {
+      calls.push(descriptor.key);
+      deferreds[descriptor.key] = $q.defer();
+      return deferreds[descriptor.key].promise;
+    });
+  }));
+
+  var steps = function() {
+    var tasks = [];
+    angular.forEach(arguments, function(id) {
+      tasks.push({step: {key: id}});
+    });
+    return tasks;
+  };
+
+  it('should declare sequence and parallel handlers', function() {
+    expect(automator.handlers.sequence).toBeDefined();
+    expect(automator.handlers.parallel).toBeDefined();
+  });
+
+  describe('sequence', function() {
+    it('should run the tasks one after the other', function() {
+      var result;
+      automator.run({sequence: {tasks: steps('a', 'b', 'c')}})
+      .then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a']);
+      deferreds.a.resolve('A');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b']);
+      deferreds.b.resolve('B');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+      deferreds.c.resolve('C');
+      scope.$digest();
+      expect(result).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should wait for the subtasks of a task', function() {
+      automator.run({sequence: {tasks: [
+        {step: {key: 'a', after: [{step: {key: 'a1'}}]}},
+        {step: {key: 'b'}}
+      ]}});
+      scope.$digest();
+      deferreds.a.resolve('A');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'a1']);
+      deferreds.a1.resolve('A1');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'a1', 'b']);
+    });
+
+    it('should stop at the first failure', function() {
+      var error;
+      var task = automator.task('sequence', {tasks: steps('a', 'b')});
+      task.run().catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      deferreds.a.reject({type: 'Failure'});
+      scope.$digest();
+      expect(calls).toEqual(['a']);
+      expect(error.type).toBe('Failure');
+      expect(task.children[1].state).toBe('idle');
+    });
+
+    it('should give the results to its subtasks', function() {
+      var context;
+      automator.registerHandler('check', function(descriptor, ctx) {
+        context = ctx;
+      });
+      automator.run({sequence: {
+        tasks: steps('a'),
+        after: [{check: {}}]
+      }});
+      scope.$digest();
+      deferreds.a.resolve('A');
+      scope.$digest();
+      expect(context.sequence).toEqual(['A']);
+    });
+  });
+
+  describe('parallel', function() {
+    it('should run all the tasks at once', function() {
+      automator.run({parallel: {tasks: steps('a', 'b', 'c')}});
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should limit the number of running tasks', function() {
+      var result;
+      automator.run({parallel: {
+        concurrency: 2,
+        tasks: steps('a', 'b', 'c')
+      }}).then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b']);
+      deferreds.b.resolve('B');
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b', 'c']);
+      deferreds.c.resolve('C');
+      deferreds.a.resolve('A');
+      scope.$digest();
+      expect(result).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should reject an invalid concurrency', function() {
+      var error;
+      automator.run({parallel: {concurrency: 0, tasks: []}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+    });
+  });
+
+  describe('forEach', function() {
+    var echoes;
+
+    beforeEach(function() {
+      echoes = [];
+      automator.registerHandler('echo', function(descriptor) {
+        echoes.push(descriptor.key);
+        return descriptor.key;
+      });
+    });
+
+    it('should run the tasks for each item of an array', function() {
+      var result;
+      var task = automator.task('forEach', {
+        items: [1, 2],
+        tasks: [{echo: {key: 'n{{item}}-{{$index}}'}}]
+      });
+      task.run().then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(result).toEqual(['n1-0', 'n2-1']);
+      expect(task.children[1].path).toBe('$.forEach.items[1][0].echo');
+    });
+
+    it('should iterate over a variable', function() {
+      automator.run({forEach: {
+        items: '{{names}}',
+        as: 'name',
+        tasks: [{echo: {key: '{{name}}'}}, {echo: {key: '{{name}}!'}}]
+      }}, {variables: {names: ['a', 'b']}});
+      scope.$digest();
+      expect(echoes).toEqual(['a', 'a!', 'b', 'b!']);
+    });
+
+    it('should iterate over the result of a previous task', function() {
+      automator.registerHandler('files', function() {
+        return {'a.ipynb': {_uuid: '1'}, 'b.ipynb': {_uuid: '2'}};
+      });
+      automator.run({files: {after: [{forEach: {
+        items: '{{files}}',
+        tasks: [{echo: {key: '{{$key}}={{item._uuid}}'}}]
+      }}]}});
+      scope.$digest();
+      expect(echoes).toEqual(['a.ipynb=1', 'b.ipynb=2']);
+    });
+
+    it('should iterate over a referenced result', function() {
+      automator.registerHandler('files', function() {
+        return ['x', 'y'];
+      });
+      automator.run({parallel: {tasks: [
+        {forEach: {items: '$ref:files', tasks: [{echo: {key: '{{item}}'}}]}},
+        {files: {id: 'files'}}
+      ]}});
+      scope.$digest();
+      expect(echoes).toEqual(['x', 'y']);
+    });
+
+    it('should give its item to each task of a multi-key definition',
+    function() {
+      automator.registerHandler('shout', function(descriptor) {
+        echoes.push(descriptor.key + '!');
+      });
+      automator.run({forEach: {
+        items: ['a', 'b'],
+        tasks: [{echo: {key: '{{item}}'}, shout: {key: '{{item}}'}}]
+      }});
+      scope.$digest();
+      expect(echoes).toEqual(['a', 'a!', 'b', 'b!']);
+    });
+
+    it('should limit the number of running tasks', function() {
+      automator.run({forEach: {
+        items: ['a', 'b', 'c'],
+        concurrency: 1,
+        tasks: [{step: {key: '{{item}}'}}]
+      }});
+      scope.$digest();
+      expect(calls).toEqual(['a']);
+      deferreds.a.resolve();
+      scope.$digest();
+      expect(calls).toEqual(['a', 'b']);
+    });
+
+    it('should validate the tasks definitions', function() {
+      var error;
+      automator.run({forEach: {
+        items: [1],
+        tasks: [{nav: {name: '{{item}}'}}]
+      }}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+      expect(error.data.errors[0].path).toBe('$.forEach.tasks[0].nav');
+    });
+
+    it('should plan the tasks of each item in dry-run mode', function() {
+      var plan;
+      automator.run({forEach: {
+        items: '{{names}}',
+        tasks: [{echo: {key: '{{item}}'}}]
+      }}, {variables: {names: ['a', 'b']}}, {dryRun: true})
+      .then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+      expect(echoes).toEqual([]);
+      expect(plan.plan.action).toBe('forEach');
+      expect(plan.plan.tasks.length).toBe(2);
+      expect(plan.plan.tasks[1].descriptor.key).toBe('b');
+    });
+  });
+
+  it('should validate the children descriptors', function() {
+    var error;
+    automator.run({sequence: {tasks: [
+      {parallel: {tasks: [{nav: {name: 'Missing app'}}]}}
+    ]}}).catch(function(err) {
+      error = err;
+    });
+    scope.$digest();
+    expect(error.data.errors).toEqual([{
+      path: '$.sequence.tasks[0].parallel.tasks[0].nav',
+      message: 'should have required property app'
+    }]);
+  });
+
+  it('should plan the children in dry-run mode', function() {
+    var plan;
+    automator.run({sequence: {tasks: [
+      {nav: {name: 'First', app: 'Rich Text Editor'}},
+      {nav: {name: 'Second', app: 'Rich Text Editor'}}
+    ]}}, {}, {dryRun: true}).then(function(r) {
+      plan = r;
+    });
+    scope.$digest();
+    expect(plan.plan.action).toBe('sequence');
+    expect(plan.plan.tasks.length).toBe(2);
+    expect(plan.plan.tasks[1].plan.data.name).toBe('Second');
+  });
+});
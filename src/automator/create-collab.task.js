@@ -3,7 +3,21 @@ angular.module('clb-automator')
   $log, $q, hbpCollabStore,
   clbAutomator
 ) {
-  clbAutomator.registerHandler('collab', createCollab);
+  clbAutomator.registerHandler('collab', createCollab, {
+    description: 'Create a collab',
+    plan: planCollab,
+    undo: deleteCollab,
+    schema: {
+      type: 'object',
+      anyOf: [{required: ['title']}, {required: ['collab']}],
+      properties: {
+        collab: {type: ['integer', 'string']},
+        title: {type: 'string', minLength: 1},
+        content: {type: 'string'},
+        private: {type: 'boolean'}
+      }
+    }
+  });
 
   /**
    * @function createCollab
@@ -16,10 +30,16 @@ angular.module('clb-automator')
    *                                       of the collab
    * @param {string} [descriptor.privacy] - 'private' or 'public'. Notes that only
    *                                   HBP Members can create private collab
+   * @param {number} [descriptor.collab] - id of an existing collab to use
+   *                                   instead of creating one
    * @param {Array} [after] - descriptor of subtasks
    * @return {Promise} - promise of a collab
    */
   function createCollab(descriptor) {
+    if (descriptor.collab) {
+      $log.debug('Use existing collab', descriptor.collab);
+      return hbpCollabStore.get(descriptor.collab);
+    }
     var attr = clbAutomator.extractAttributes(
       descriptor,
       ['title', 'content', 'private']
@@ -27,4 +47,43 @@ angular.module('clb-automator')
     $log.debug('Create collab', descriptor);
     return hbpCollabStore.create(attr);
   }
+
+  /**
+   * Delete the collab created by ``createCollab``. An existing collab
+   * given by ``descriptor.collab`` is kept.
+   * @param {object} collab - the collab to delete
+   * @param {object} descriptor - Parameters used to create the collab
+   * @return {Promise} - resolve once the collab is deleted
+   * @private
+   */
+  function deleteCollab(collab, descriptor) {
+    if (descriptor && descriptor.collab) {
+      $log.debug('Keep existing collab', collab);
+      return $q.when();
+    }
+    $log.debug('Delete collab', collab);
+    return hbpCollabStore.delete(collab);
+  }
+
+  /**
+   * Describe the collab that would be created by ``createCollab``.
+   * @param {object} descriptor - Parameters to create the collab
+   * @return {object} - the plan of the collab creation
+   * @private
+   */
+  function planCollab(descriptor) {
+    if (descriptor.collab) {
+      return {
+        action: 'useCollab',
+        data: {collab: descriptor.collab}
+      };
+    }
+    return {
+      action: 'createCollab',
+      data: clbAutomator.extractAttributes(
+        descriptor,
+        ['title', 'content', 'private']
+      )
+    };
+  }
 });
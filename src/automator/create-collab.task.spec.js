@@ -71,4 +71,44 @@ describe('collab task handler', function() {
       });
     }));
   });
+
+  describe('existing collab', function() {
+    var automator;
+
+    beforeEach(inject(function($q, clbAutomator) {
+      automator = clbAutomator;
+      spyOn(store, 'get').and.returnValue($q.when(data.collab));
+      spyOn(store, 'delete').and.returnValue($q.when());
+      automator.registerHandler('failure', function() {
+        return $q.reject({type: 'Failure'});
+      });
+    }));
+
+    it('should use the collab with the given id', function() {
+      var collab;
+      automator.run({collab: {collab: 11}}).then(function(r) {
+        collab = r;
+      });
+      scope.$digest();
+      expect(store.get).toHaveBeenCalledWith(11);
+      expect(store.create).not.toHaveBeenCalled();
+      expect(collab).toBe(data.collab);
+    });
+
+    it('should keep the collab on rollback', function() {
+      automator.run({collab: {collab: 11, after: [{failure: {}}]}});
+      scope.$digest();
+      expect(store.delete).not.toHaveBeenCalled();
+    });
+
+    it('should require a title or a collab id', function() {
+      var error;
+      automator.run({collab: {content: 'Description'}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('InvalidDescriptor');
+    });
+  });
 });
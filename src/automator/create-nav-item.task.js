@@ -1,45 +1,114 @@
 angular.module('clb-automator')
 .run(function createNavItem(
   $log,
+  $q,
   hbpCollaboratoryAppStore,
   hbpCollaboratoryNavStore,
   clbAutomator,
   hbpCollaboratoryStorage,
-  hbpEntityStore
+  hbpEntityStore,
+  hbpErrorService,
+  folderAppId
 ) {
-  clbAutomator.registerHandler('nav', createNavItem);
+  // The location of a nav item or folder in the navigation tree.
+  var placementSchema = {
+    parent: {type: ['string', 'integer', 'object']},
+    position: {
+      anyOf: [
+        {type: 'string', enum: ['first', 'last']},
+        {type: 'integer', minimum: 0},
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            before: {type: 'string', minLength: 1},
+            after: {type: 'string', minLength: 1}
+          }
+        }
+      ]
+    }
+  };
+  clbAutomator.registerHandler('nav', createNavItem, {
+    description: 'Create a navigation item',
+    plan: planNavItem,
+    undo: deleteNavItem,
+    schema: {
+      type: 'object',
+      required: ['name', 'app'],
+      properties: angular.extend({
+        name: {type: 'string', minLength: 1},
+        app: {type: 'string', minLength: 1},
+        collab: {type: ['integer', 'string']},
+        entity: {type: 'string'}
+      }, placementSchema)
+    }
+  });
+  clbAutomator.registerHandler('folder', createFolder, {
+    description: 'Create a navigation folder',
+    plan: planFolder,
+    undo: deleteNavItem,
+    schema: {
+      type: 'object',
+      required: ['name'],
+      properties: angular.extend({
+        name: {type: 'string', minLength: 1},
+        collab: {type: ['integer', 'string']}
+      }, placementSchema)
+    }
+  });
 
   /**
    * Create a new nav item.
+   *
+   * The item is added to ``descriptor.parent`` if it is set, otherwise to
+   * the folder created by the closest ``folder`` parent task, or at the
+   * root of the collab navigation. The parent is either:
+   *
+   * - a path of names separated by ``/``, like ``Docs/Tutorials``,
+   *   starting from the root;
+   * - the id of a nav item;
+   * - a nav item, like the result of a previous ``folder`` task given by
+   *   a ``$ref:<id>`` reference.
+   *
+   * ``descriptor.position`` moves the item among its siblings: ``first``,
+   * ``last``, a 0-based index, ``{"before": "<name>"}`` or
+   * ``{"after": "<name>"}``. By default the item is added at the end.
+   *
+   * @example <caption>Add a nav item at the top of a folder</caption>
+   * {
+   *   "nav": {
+   *     "name": "Introduction",
+   *     "app": "Rich Text Editor",
+   *     "parent": "Docs/Tutorials",
+   *     "position": "first"
+   *   }
+   * }
+   *
+   * In idempotent mode, an item with the same name and parent is reused
+   * instead of creating a new one.
+   *
    * @memberof module:clb-automator.Tasks
    * @param {object} descriptor a descriptor description
    * @param {string} descriptor.name name of the nav item
    * @param {Collab} descriptor.collabId collab in which to add the item in.
    * @param {string} descriptor.app app name linked to the nav item
+   * @param {string|number|NavItem} [descriptor.parent] the parent item
+   * @param {string|number|object} [descriptor.position] the position among
+   *                                                     the siblings
+   * @param {boolean} [descriptor.ensure] reuse an existing item, see
+   *                                      ``Task.isIdempotent``
    * @param {object} [context] the current run context
    * @param {object} [context.collab] a collab instance created previously
+   * @param {NavItem} [context.folder] the folder created by a parent task
    * @return {Promise} promise of a NavItem instance
    */
   function createNavItem(descriptor, context) {
-    var collabId = function() {
-      return (descriptor && descriptor.collab) ||
-        (context && context.collab.id);
-    };
+    var task = this;
     var findApp = function(app) {
       return hbpCollaboratoryAppStore.findOne({title: app});
     };
     var createNav = function(app) {
-      return hbpCollaboratoryNavStore.getRoot(collabId())
-      .then(function(parentItem) {
-        return hbpCollaboratoryNavStore.addNode(collabId(),
-          new hbpCollaboratoryNavStore.NavItem({
-            collab: collabId(),
-            name: descriptor.name,
-            appId: app.id,
-            parentId: parentItem.id
-          })
-        );
-      });
+      return addNavItem(task, descriptor, context, {appId: app.id});
     };
     var linkToStorage = function(nav) {
       if (!descriptor.entity) {
@@ -67,4 +136,338 @@ angular.module('clb-automator')
       .then(linkToStorage);
     });
   }
+
+  /**
+   * Create a new folder in the collab navigation.
+   *
+   * The nav items and folders created by its subtasks are added to this
+   * folder. The folder accepts the same ``parent`` and ``position`` as
+   * the ``nav`` task.
+   *
+   * @example <caption>Create a nested folder</caption>
+   * {
+   *   "folder": {
+   *     "name": "Docs",
+   *     "after": [{
+   *       "folder": {
+   *         "name": "Tutorials",
+   *         "after": [{"nav": {"name": "Intro", "app": "Rich Text Editor"}}]
+   *       }
+   *     }]
+   *   }
+   * }
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {string} descriptor.name name of the folder
+   * @param {number} [descriptor.collab] id of the collab
+   * @param {string|number|NavItem} [descriptor.parent] the parent item
+   * @param {string|number|object} [descriptor.position] the position among
+   *                                                     the siblings
+   * @param {boolean} [descriptor.ensure] reuse an existing folder, see
+   *                                      ``Task.isIdempotent``
+   * @param {object} [context] the current run context
+   * @param {object} [context.collab] a collab instance created previously
+   * @param {NavItem} [context.folder] the folder created by a parent task
+   * @return {Promise} promise of the folder NavItem instance
+   */
+  function createFolder(descriptor, context) {
+    $log.debug('Create folder', descriptor, context);
+    return addNavItem(this, descriptor, context, {
+      appId: folderAppId,
+      folder: true
+    });
+  }
+
+  /**
+   * Add a nav item to its parent, or reuse an existing one in idempotent
+   * mode.
+   * @param {Task} task the running task
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current run context
+   * @param {object} attrs the attributes of the NavItem
+   * @return {Promise} promise of the NavItem instance
+   * @private
+   */
+  function addNavItem(task, descriptor, context, attrs) {
+    var collab = collabId(descriptor, context);
+    var options = httpOptions(task);
+    var parentItem;
+    return parentNavItem(descriptor, context).then(function(parent) {
+      parentItem = parent;
+      var existing = clbAutomator.isIdempotent(task) &&
+        findChild(parentItem, descriptor.name, Boolean(attrs.folder));
+      if (existing) {
+        $log.debug('Reuse nav item', existing);
+        task.reused = true;
+        return existing;
+      }
+      return hbpCollaboratoryNavStore.addNode(collab,
+        new hbpCollaboratoryNavStore.NavItem(angular.extend({
+          collab: collab,
+          name: descriptor.name,
+          parentId: parentItem.id
+        }, attrs)),
+        options
+      ).then(function(nav) {
+        // Keep the tree up to date for the next tasks.
+        if (angular.isArray(parentItem.children) &&
+            parentItem.children.indexOf(nav) === -1) {
+          parentItem.children.push(nav);
+        }
+        return nav;
+      });
+    }).then(function(nav) {
+      if (angular.isUndefined(descriptor.position)) {
+        return nav;
+      }
+      return moveNavItem(collab, nav, parentItem, descriptor.position,
+        options);
+    });
+  }
+
+  /**
+   * Move a nav item to the given position among its siblings.
+   * @param {number} collab the collab id
+   * @param {NavItem} nav the nav item to move
+   * @param {NavItem} parentItem its parent
+   * @param {string|number|object} position ``first``, ``last``, an index,
+   *                                        ``{before}`` or ``{after}``
+   * @param {object} [options] the ``$http`` options of the requests
+   * @return {Promise} promise of the updated NavItem
+   * @private
+   */
+  function moveNavItem(collab, nav, parentItem, position, options) {
+    var siblings = (parentItem.children || []).filter(function(item) {
+      return item !== nav;
+    });
+    var index;
+    if (position === 'first') {
+      index = 0;
+    } else if (position === 'last') {
+      index = siblings.length;
+    } else if (angular.isNumber(position)) {
+      index = Math.min(position, siblings.length);
+    } else {
+      var name = position.before || position.after;
+      index = siblings.map(function(item) {
+        return item.name;
+      }).indexOf(name);
+      if (index === -1) {
+        return $q.reject(navItemNotFound(
+          'Cannot find the sibling ' + name, {name: name}));
+      }
+      if (position.after) {
+        index += 1;
+      }
+    }
+    return hbpCollaboratoryNavStore.insertNode(collab, nav, parentItem, index,
+      options)
+    .then(function(updated) {
+      if (angular.isArray(parentItem.children)) {
+        siblings.splice(index, 0, updated);
+        parentItem.children.length = 0;
+        Array.prototype.push.apply(parentItem.children, siblings);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Return the id of the collab the item is added to.
+   * @param {object} descriptor the task configuration
+   * @param {object} [context] the current run context
+   * @return {number} the collab id
+   * @private
+   */
+  function collabId(descriptor, context) {
+    if (descriptor && descriptor.collab) {
+      return descriptor.collab;
+    }
+    if (context && context.collab) {
+      return context.collab.id;
+    }
+    if (descriptor && angular.isObject(descriptor.parent)) {
+      return descriptor.parent.collabId;
+    }
+    return context && context.folder && context.folder.collabId;
+  }
+
+  /**
+   * Return the parent of a new nav item: ``descriptor.parent``, the folder
+   * of a parent task or the root of the collab navigation.
+   * @param {object} descriptor the task configuration
+   * @param {object} [context] the current run context
+   * @return {Promise} promise of the parent NavItem
+   * @private
+   */
+  function parentNavItem(descriptor, context) {
+    var parent = descriptor.parent;
+    var collab = collabId(descriptor, context);
+    if (angular.isObject(parent)) {
+      return $q.when(parent);
+    }
+    if (angular.isNumber(parent)) {
+      return hbpCollaboratoryNavStore.getNode(collab, parent)
+      .then(function(item) {
+        return item || $q.reject(navItemNotFound(
+          'Cannot find the nav item ' + parent, {id: parent}));
+      });
+    }
+    if (angular.isString(parent)) {
+      return hbpCollaboratoryNavStore.getRoot(collab).then(function(root) {
+        return findPath(root, parent);
+      });
+    }
+    if (context && context.folder) {
+      return $q.when(context.folder);
+    }
+    return hbpCollaboratoryNavStore.getRoot(collab);
+  }
+
+  /**
+   * Return the nav item at the end of a path of names.
+   * @param {NavItem} root the root nav item
+   * @param {string} path names separated by ``/``
+   * @return {Promise} promise of the NavItem
+   * @private
+   */
+  function findPath(root, path) {
+    var item = path.split('/').filter(function(name) {
+      return name.length > 0;
+    }).reduce(function(parentItem, name) {
+      return parentItem && (parentItem.children || []).filter(function(child) {
+        return child.name === name;
+      })[0];
+    }, root);
+    if (!item) {
+      return $q.reject(navItemNotFound('Cannot find the nav item ' + path,
+        {path: path}));
+    }
+    return $q.when(item);
+  }
+
+  /**
+   * Build the error of a nav item that cannot be found.
+   * @param {string} message the error message
+   * @param {object} data what was looked for
+   * @return {HbpError} a ``NavItemNotFound`` error
+   * @private
+   */
+  function navItemNotFound(message, data) {
+    return hbpErrorService.error({
+      type: 'NavItemNotFound',
+      message: message,
+      data: data
+    });
+  }
+
+  /**
+   * Return the ``$http`` options that abort the requests of the nav store
+   * when the task is cancelled or times out.
+   * @param {Task} [task] the running task, if any
+   * @return {object} the options, undefined without a cancel token
+   * @private
+   */
+  function httpOptions(task) {
+    return task && task.cancelToken ? {timeout: task.cancelToken} : undefined;
+  }
+
+  /**
+   * Return the child of ``parentItem`` with the given name.
+   * @param {NavItem} parentItem the parent nav item
+   * @param {string} name the name of the child
+   * @param {boolean} folder true to look for a folder
+   * @return {NavItem} the child or undefined
+   * @private
+   */
+  function findChild(parentItem, name, folder) {
+    if (!angular.isArray(parentItem.children)) {
+      return undefined;
+    }
+    return parentItem.children.filter(function(item) {
+      return item.name === name && Boolean(item.folder) === folder;
+    })[0];
+  }
+
+  /**
+   * Delete the nav item created by ``createNavItem`` or ``createFolder``.
+   * @param {NavItem} nav the nav item to delete
+   * @return {Promise} resolve once the nav item is deleted
+   * @private
+   */
+  function deleteNavItem(nav) {
+    if (this.reused) {
+      $log.debug('Keep existing nav item', nav);
+      return $q.when();
+    }
+    $log.debug('Delete nav item', nav);
+    return hbpCollaboratoryNavStore.deleteNode(nav.collabId, nav);
+  }
+
+  /**
+   * Describe the nav item that would be created by ``createNavItem``.
+   * @param {object} descriptor a descriptor description
+   * @param {object} [context] the current run context
+   * @return {object} the plan of the nav item creation
+   * @private
+   */
+  function planNavItem(descriptor, context) {
+    return {
+      action: clbAutomator.isIdempotent(this) ?
+        'ensureNavItem' : 'createNavItem',
+      data: {
+        collab: descriptor.collab ||
+          (context && context.collab && context.collab.id),
+        name: descriptor.name,
+        app: descriptor.app,
+        entity: descriptor.entity,
+        parent: plannedParent(descriptor, context),
+        position: descriptor.position
+      }
+    };
+  }
+
+  /**
+   * Describe the folder that would be created by ``createFolder``.
+   * @param {object} descriptor the task configuration
+   * @param {object} [context] the current run context
+   * @return {object} the plan of the folder creation
+   * @private
+   */
+  function planFolder(descriptor, context) {
+    return {
+      action: clbAutomator.isIdempotent(this) ?
+        'ensureFolder' : 'createFolder',
+      data: {
+        collab: descriptor.collab ||
+          (context && context.collab && context.collab.id),
+        name: descriptor.name,
+        parent: plannedParent(descriptor, context),
+        position: descriptor.position
+      }
+    };
+  }
+
+  /**
+   * Return the parent in dry-run mode: ``descriptor.parent`` or the name of
+   * the parent folder, where the result of a ``folder`` task is its plan.
+   * @param {object} descriptor the task configuration
+   * @param {object} [context] the current run context
+   * @return {string|number} the parent or undefined for the root
+   * @private
+   */
+  function plannedParent(descriptor, context) {
+    var parent = descriptor.parent;
+    if (angular.isObject(parent)) {
+      return parent.data ? parent.data.name : parent.name;
+    }
+    if (angular.isDefined(parent)) {
+      return parent;
+    }
+    var folder = context && context.folder;
+    if (!folder) {
+      return undefined;
+    }
+    return folder.data ? folder.data.name : folder.name;
+  }
 });
@@ -95,6 +95,23 @@ describe('nav task handler', function() {
     expect(nav.appId).toBe(data.navItem.appId);
   });
 
+  it('should abort the requests when the run is cancelled',
+  inject(function($q, clbAutomator) {
+    var cancel = $q.defer();
+    var aborted = false;
+    navStore.addNode.and.returnValue($q.defer().promise);
+    clbAutomator.run({
+      nav: angular.extend({collab: data.collab.id}, data.mandatory)
+    }, {}, {cancelToken: cancel.promise});
+    scope.$digest();
+    navStore.addNode.calls.mostRecent().args[2].timeout.then(function() {
+      aborted = true;
+    });
+    cancel.resolve('Stop');
+    scope.$digest();
+    expect(aborted).toBe(true);
+  }));
+
   describe('support entity metadata to ctx linking', function() {
     beforeEach(inject(function($q) {
       spyOn(storage, 'setContextMetadata').and.returnValue($q.when({}));
@@ -128,4 +145,300 @@ describe('nav task handler', function() {
       .toHaveBeenCalledWith(data.entity, data.navItem.context);
     }));
   });
+
+  describe('ensure mode', function() {
+    var automator;
+    var existing;
+
+    beforeEach(inject(function($q, clbAutomator) {
+      automator = clbAutomator;
+      existing = {id: 30, name: data.mandatory.name, context: 'ctx'};
+      data.parent.children = [{id: 29, name: 'Other'}, existing];
+      spyOn(navStore, 'deleteNode').and.returnValue($q.when());
+      automator.registerHandler('failure', function() {
+        return $q.reject({type: 'Failure'});
+      });
+    }));
+
+    it('should reuse an item with the same name', function() {
+      var nav;
+      automator.run({nav: angular.extend({ensure: true}, data.mandatory)},
+        {collab: data.collab})
+      .then(function(r) {
+        nav = r;
+      });
+      scope.$digest();
+      expect(nav).toBe(existing);
+      expect(navStore.addNode).not.toHaveBeenCalled();
+    });
+
+    it('should be enabled by the ensure run option', function() {
+      var task = automator.task('nav', data.mandatory, {collab: data.collab});
+      task.run(null, {ensure: true});
+      scope.$digest();
+      expect(task.reused).toBe(true);
+      expect(navStore.addNode).not.toHaveBeenCalled();
+    });
+
+    it('should create a missing item', function() {
+      data.parent.children = [];
+      automator.run({nav: angular.extend({ensure: true}, data.mandatory)},
+        {collab: data.collab});
+      scope.$digest();
+      expect(navStore.addNode).toHaveBeenCalled();
+    });
+
+    it('should keep a reused item on rollback', function() {
+      automator.run({nav: angular.extend({
+        ensure: true,
+        after: [{failure: {}}]
+      }, data.mandatory)}, {collab: data.collab});
+      scope.$digest();
+      expect(navStore.deleteNode).not.toHaveBeenCalled();
+    });
+
+    it('should plan to ensure the item', function() {
+      var plan;
+      automator.run({nav: angular.extend({ensure: true}, data.mandatory)},
+        {collab: data.collab}, {dryRun: true})
+      .then(function(r) {
+        plan = r.plan;
+      });
+      scope.$digest();
+      expect(plan.action).toBe('ensureNavItem');
+    });
+  });
+
+  describe('folder', function() {
+    var automator;
+    var nextId;
+
+    beforeEach(inject(function($q, clbAutomator) {
+      automator = clbAutomator;
+      nextId = 100;
+      data.parent.children = [];
+      navStore.addNode.and.callFake(function(collabId, item) {
+        item.id = nextId++;
+        item.collabId = collabId;
+        return $q.when(item);
+      });
+    }));
+
+    it('should create a folder nav item', inject(function(folderAppId) {
+      var folder;
+      automator.run({folder: {name: 'Docs'}}, {collab: data.collab})
+      .then(function(r) {
+        folder = r;
+      });
+      scope.$digest();
+      expect(navStore.addNode).toHaveBeenCalledWith(data.collab.id, folder,
+        {timeout: jasmine.any(Object)});
+      expect(folder.appId).toBe(folderAppId);
+      expect(folder.parentId).toBe(data.parent.id);
+      expect(folder.toJson().type).toBe('FO');
+    }));
+
+    it('should add the nested items to the folder', function() {
+      var items = {};
+      automator.run({folder: {
+        name: 'Docs',
+        after: [
+          {nav: {name: 'Intro', app: 'My Test App'}},
+          {folder: {name: 'Tutorials', after: [
+            {nav: {name: 'First', app: 'My Test App'}}
+          ]}}
+        ]
+      }}, {collab: data.collab});
+      scope.$digest();
+      angular.forEach(navStore.addNode.calls.all(), function(call) {
+        items[call.args[1].name] = call.args[1];
+      });
+      expect(items.Docs.parentId).toBe(data.parent.id);
+      expect(items.Intro.parentId).toBe(items.Docs.id);
+      expect(items.Tutorials.parentId).toBe(items.Docs.id);
+      expect(items.First.parentId).toBe(items.Tutorials.id);
+      expect(items.Docs.children).toContain(items.Intro);
+    });
+
+    it('should reuse an existing folder', function() {
+      var existing = new navStore.NavItem({
+        id: 50,
+        name: 'Docs',
+        folder: true
+      });
+      data.parent.children = [{id: 49, name: 'Docs'}, existing];
+      automator.run({folder: {
+        name: 'Docs',
+        ensure: true,
+        after: [{nav: {name: 'Intro', app: 'My Test App'}}]
+      }}, {collab: data.collab});
+      scope.$digest();
+      expect(navStore.addNode.calls.count()).toBe(1);
+      expect(navStore.addNode.calls.mostRecent().args[1].parentId).toBe(50);
+    });
+
+    it('should plan the folder', function() {
+      var plan;
+      automator.run({folder: {
+        name: 'Docs',
+        after: [{nav: {name: 'Intro', app: 'My Test App'}}]
+      }}, {collab: data.collab}, {dryRun: true}).then(function(r) {
+        plan = r;
+      });
+      scope.$digest();
+      expect(plan.plan).toEqual({
+        action: 'createFolder',
+        data: {
+          collab: data.collab.id,
+          name: 'Docs',
+          parent: undefined,
+          position: undefined
+        }
+      });
+      expect(plan.subtasks[0].plan.data.parent).toBe('Docs');
+    });
+  });
+
+  describe('parent and position', function() {
+    var automator;
+    var tutorials;
+    var nextId;
+
+    beforeEach(inject(function($q, clbAutomator) {
+      automator = clbAutomator;
+      nextId = 100;
+      tutorials = new navStore.NavItem({
+        id: 41,
+        collabId: 1,
+        name: 'Tutorials',
+        folder: true,
+        children: [
+          new navStore.NavItem({id: 42, name: 'A'}),
+          new navStore.NavItem({id: 43, name: 'B'})
+        ]
+      });
+      data.parent.children = [new navStore.NavItem({
+        id: 40,
+        name: 'Docs',
+        folder: true,
+        children: [tutorials]
+      })];
+      navStore.addNode.and.callFake(function(collabId, item) {
+        item.id = nextId++;
+        item.collabId = collabId;
+        return $q.when(item);
+      });
+      spyOn(navStore, 'insertNode').and.callFake(
+        function(collabId, item, parentItem, insertAt) {
+          item.order = insertAt + 1;
+          return $q.when(item);
+        });
+      spyOn(navStore, 'getNode').and.callFake(function(collabId, id) {
+        return $q.when(id === 41 ? tutorials : undefined);
+      });
+    }));
+
+    var run = function(attrs) {
+      var outcome = {};
+      automator.run({nav: angular.extend({
+        name: 'New',
+        app: 'My Test App'
+      }, attrs)}, {collab: data.collab}).then(function(r) {
+        outcome.result = r;
+      }, function(err) {
+        outcome.error = err;
+      });
+      scope.$digest();
+      return outcome;
+    };
+
+    it('should find the parent by its name path', function() {
+      var nav = run({parent: 'Docs/Tutorials'}).result;
+      expect(nav.parentId).toBe(41);
+      expect(navStore.insertNode).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown name path', function() {
+      var error = run({parent: 'Docs/Unknown'}).error;
+      expect(error.type).toBe('NavItemNotFound');
+      expect(navStore.addNode).not.toHaveBeenCalled();
+    });
+
+    it('should find the parent by its id', function() {
+      var nav = run({parent: 41}).result;
+      expect(navStore.getNode).toHaveBeenCalledWith(data.collab.id, 41);
+      expect(nav.parentId).toBe(41);
+      expect(run({parent: 99}).error.type).toBe('NavItemNotFound');
+    });
+
+    it('should use a previously created folder', function() {
+      automator.run({sequence: {tasks: [
+        {folder: {id: 'docs', name: 'Guides'}},
+        {nav: {name: 'New', app: 'My Test App', parent: '$ref:docs'}}
+      ]}}, {collab: data.collab});
+      scope.$digest();
+      var calls = navStore.addNode.calls.all();
+      expect(calls[1].args[1].parentId).toBe(calls[0].args[1].id);
+    });
+
+    it('should share a referenced folder between the tasks', function() {
+      var error;
+      automator.run({folder: {id: 'docs', name: 'Guides', after: [
+        {sequence: {tasks: [
+          {nav: {name: 'First', app: 'My Test App', parent: '$ref:docs'}},
+          {nav: {name: 'Second', app: 'My Test App', parent: '$ref:docs',
+                 position: {after: 'First'}}}
+        ]}}
+      ]}}, {collab: data.collab}).catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error).toBeUndefined();
+      var folder = navStore.addNode.calls.first().args[1];
+      expect(navStore.insertNode.calls.mostRecent().args[2]).toBe(folder);
+      expect(folder.children.map(function(item) {
+        return item.name;
+      })).toEqual(['First', 'Second']);
+    });
+
+    it('should accept a parent without children in ensure mode', function() {
+      var nav = run({parent: {id: 41, collabId: 1}, ensure: true}).result;
+      expect(navStore.addNode).toHaveBeenCalled();
+      expect(nav.parentId).toBe(41);
+    });
+
+    [
+      ['first', 0],
+      ['last', 2],
+      [1, 1],
+      [5, 2],
+      [{before: 'B'}, 1],
+      [{after: 'B'}, 2]
+    ].forEach(function(example) {
+      it('should insert the item at ' + angular.toJson(example[0]),
+        function() {
+          var nav = run({
+            parent: 'Docs/Tutorials',
+            position: example[0]
+          }).result;
+          expect(navStore.insertNode).toHaveBeenCalledWith(
+            data.collab.id, nav, tutorials, example[1],
+            {timeout: jasmine.any(Object)});
+          expect(tutorials.children.indexOf(nav)).toBe(example[1]);
+        });
+    });
+
+    it('should reject an unknown sibling', function() {
+      var error = run({
+        parent: 'Docs/Tutorials',
+        position: {after: 'Unknown'}
+      }).error;
+      expect(error.type).toBe('NavItemNotFound');
+    });
+
+    it('should validate the position', function() {
+      var error = run({position: 'middle'}).error;
+      expect(error.type).toBe('InvalidDescriptor');
+    });
+  });
 });
@@ -0,0 +1,607 @@
+angular.module('clb-automator')
+.factory('clbAutomatorExport', clbAutomatorExport);
+
+/**
+ * @namespace clbAutomatorExport
+ * @memberof module:clb-automator
+ * @desc
+ * clbAutomatorExport builds an automator descriptor that recreates an
+ * existing collab. It can be used to turn a hand-crafted collab into
+ * a template.
+ *
+ * It also compares a descriptor with an existing collab, to review what
+ * applying the descriptor would change.
+ *
+ * @example <caption>Export a collab as a template</caption>
+ * clbAutomatorExport.exportCollab({id: 42, title: 'My Template'})
+ * .then(function(descriptor) {
+ *   return clbAutomator.run(descriptor);
+ * });
+ * @param {object} $q injected service
+ * @param {object} $log injected service
+ * @param {object} hbpCollabStore injected service
+ * @param {object} hbpEntityStore injected service
+ * @param {object} hbpCollaboratoryNavStore injected service
+ * @param {object} hbpCollaboratoryAppStore injected service
+ * @param {object} hbpCollaboratoryStorage injected service
+ * @param {object} hbpErrorService injected service
+ * @param {object} clbTemplate injected service
+ * @return {object} the clbAutomatorExport Angular service singleton
+ */
+function clbAutomatorExport(
+  $q,
+  $log,
+  hbpCollabStore,
+  hbpEntityStore,
+  hbpCollaboratoryNavStore,
+  hbpCollaboratoryAppStore,
+  hbpCollaboratoryStorage,
+  hbpErrorService,
+  clbTemplate
+) {
+  /**
+   * Return a descriptor recreating the collab.
+   *
+   * The descriptor contains:
+   *
+   * - a ``collab`` task using the ``title``, ``content`` and ``private``
+   *   attributes of ``collab``. Given an id or an object without a title,
+   *   the collab is loaded from ``hbpCollabStore``;
+   * - a ``storage`` task copying the files linked to the nav items;
+   * - a ``sequence`` of ``nav`` and ``folder`` tasks recreating the nav
+   *   items in their current order and linking them to the copied files.
+   *   The items of a folder are in a ``sequence`` run after the folder;
+   * - an ``overview`` task if a file is linked to the overview page.
+   *
+   * @memberof module:clb-automator.clbAutomatorExport
+   * @param  {object|number} collab the collab or its id
+   * @return {Promise}              promise of the descriptor
+   */
+  function exportCollab(collab) {
+    var id = angular.isObject(collab) ? collab.id : collab;
+    $log.debug('Export collab', id);
+    return $q.all({
+      collab: angular.isObject(collab) && collab.title ?
+        collab :
+        hbpCollabStore.get(id),
+      root: hbpCollaboratoryNavStore.getRoot(id)
+    })
+    .then(function(loaded) {
+      var items = loaded.root.children;
+      return $q.all({
+        collab: loaded.collab,
+        overview: items.length ? linkedEntity(items[0]) : null,
+        navs: exportTree(items.slice(1))
+      });
+    })
+    .then(function(exported) {
+      return buildDescriptor(exported.collab, exported.navs,
+        exported.overview);
+    });
+  }
+
+  /**
+   * Compare a descriptor with an existing collab.
+   *
+   * The ``nav``, ``folder`` and ``storage`` tasks of the descriptor are
+   * compared with the nav items and the files at the root of the collab
+   * storage:
+   *
+   * - ``added``: the item is in the descriptor but not in the collab;
+   * - ``removed``: the item is in the collab but not in the descriptor.
+   *   The automator never deletes it;
+   * - ``changed``: a nav item with the same path uses another app or
+   *   another file, or is a folder on one side only.
+   *
+   * Nav items and folders are matched by path: the names of their parent
+   * folders and their own name joined by ``/``, like ``Docs/Notes``. It is
+   * the ``name`` of their changes. Files are matched by the name of their
+   * source entity. The parts of the descriptor that cannot be known before
+   * the run, like ``{{ }}`` placeholders, references and the ``forEach`` or
+   * ``include`` tasks, are listed in ``skipped``.
+   *
+   * @example <caption>Review a template before applying it</caption>
+   * clbAutomatorExport.diffCollab(descriptor, 42).then(function(diff) {
+   *   // diff.changes: [
+   *   //   {type: 'nav', change: 'added', name: 'Code',
+   *   //    desired: {name: 'Code', app: 'Jupyter Notebook'}},
+   *   //   {type: 'storage', change: 'removed', name: 'old.ipynb',
+   *   //    current: {name: 'old.ipynb', entity: '155c1bcc-...'}}
+   *   // ]
+   *   // diff.skipped: [{path: '$.collab.after[1].forEach',
+   *   //                 reason: 'forEach tasks are not compared'}]
+   * });
+   * @memberof module:clb-automator.clbAutomatorExport
+   * @param  {object|Array} descriptor the descriptor to compare
+   * @param  {number} [collabId] the collab id, default to the ``collab``
+   *                             attribute of the top level ``collab`` task
+   * @return {Promise}           promise of ``{changes, skipped}`` where
+   *                             ``changes`` is a list of ``{type, change,
+   *                             name, current, desired}``, rejected with
+   *                             a ``KeyError`` if the collab is unknown
+   */
+  function diffCollab(descriptor, collabId) {
+    var desired = {navs: [], entities: {}, skipped: []};
+    collectTasks(descriptor, '$', desired, '');
+    if (angular.isUndefined(collabId)) {
+      collabId = descriptor && descriptor.collab && descriptor.collab.collab;
+    }
+    if (angular.isUndefined(collabId) || collabId === null) {
+      return $q.reject(hbpErrorService.error({
+        type: 'KeyError',
+        message: 'Missing the id of the collab to compare with',
+        data: {descriptor: descriptor}
+      }));
+    }
+    $log.debug('Diff collab', collabId, descriptor);
+    return $q.all({
+      navs: hbpCollaboratoryNavStore.getRoot(collabId).then(function(root) {
+        // The first item is the overview.
+        return exportNavItems(root.children.slice(1), '');
+      }),
+      files: hbpCollaboratoryStorage.getProjectByCollab(collabId)
+        .then(function(project) {
+          return hbpEntityStore.getChildren(project);
+        }),
+      sources: sourceNames(desired.entities)
+    }).then(function(current) {
+      var changes = diffNavItems(current.navs, desired.navs, current.sources)
+        .concat(diffFiles(resultList(current.files), current.sources));
+      return {
+        changes: changes,
+        skipped: desired.skipped
+      };
+    });
+  }
+
+  /**
+   * Collect the ``nav``, ``folder`` and ``storage`` tasks of a descriptor
+   * tree.
+   *
+   * @param  {object|Array} taskDefs a task definition or a list of them
+   * @param  {string} path           the JSON path of ``taskDefs``
+   * @param  {object} desired        the accumulator of ``navs``,
+   *                                 ``entities`` and ``skipped`` items
+   * @param  {string} folder         the nav path of the folder the nav
+   *                                 items are added to, ``''`` for the
+   *                                 root and null if it is only known at
+   *                                 run time
+   * @private
+   */
+  function collectTasks(taskDefs, path, desired, folder) {
+    if (angular.isArray(taskDefs)) {
+      taskDefs.forEach(function(taskDef, i) {
+        collectTasks(taskDef, path + '[' + i + ']', desired, folder);
+      });
+      return;
+    }
+    if (!angular.isObject(taskDefs)) {
+      return;
+    }
+    // Object.keys as angular.forEach calls any ``forEach`` property.
+    Object.keys(taskDefs).forEach(function(name) {
+      var descriptor = taskDefs[name] || {};
+      var taskPath = path + '.' + name;
+      if (name === 'forEach' || name === 'include') {
+        desired.skipped.push({
+          path: taskPath,
+          reason: name + ' tasks are not compared'
+        });
+        return;
+      }
+      var subFolder = folder;
+      if (name === 'nav') {
+        collectNavItem(name, descriptor, taskPath, desired, folder);
+      } else if (name === 'folder') {
+        subFolder = collectNavItem(name, descriptor, taskPath, desired,
+          folder);
+      } else if (name === 'storage') {
+        angular.forEach(descriptor.entities, function(uuid, label) {
+          if (isDynamic(uuid)) {
+            desired.skipped.push({
+              path: taskPath + '.entities.' + label,
+              reason: 'is only known at run time'
+            });
+          } else {
+            desired.entities[label] = uuid;
+          }
+        });
+      }
+      collectTasks(descriptor.tasks, taskPath + '.tasks', desired, folder);
+      collectTasks(descriptor.after, taskPath + '.after', desired,
+        subFolder);
+    });
+  }
+
+  /**
+   * Add the nav item of a ``nav`` or ``folder`` task to the desired state.
+   *
+   * A ``parent`` path replaces the enclosing folder. Other parents, an id
+   * or a nav item, are only known at run time.
+   *
+   * @param  {string} name       ``nav`` or ``folder``
+   * @param  {object} descriptor the task descriptor
+   * @param  {string} path       the JSON path of the task
+   * @param  {object} desired    the desired state
+   * @param  {string} folder     the nav path of the enclosing folder or null
+   * @return {string}            the nav path of the item or null
+   * @private
+   */
+  function collectNavItem(name, descriptor, path, desired, folder) {
+    var folderTask = name === 'folder';
+    if (angular.isDefined(descriptor.parent)) {
+      folder = angular.isString(descriptor.parent) &&
+        !isDynamic(descriptor.parent) ?
+        trimPath(descriptor.parent) :
+        null;
+    }
+    if (folder === null || isDynamic(descriptor.name) ||
+        (!folderTask && isDynamic(descriptor.app))) {
+      desired.skipped.push({path: path, reason: 'is only known at run time'});
+      return null;
+    }
+    var nav = folderTask ?
+      {name: descriptor.name, folder: true} :
+      {name: descriptor.name, app: descriptor.app};
+    if (descriptor.entity) {
+      nav.entity = descriptor.entity;
+    }
+    var navPath = joinPath(folder, descriptor.name);
+    desired.navs.push({path: navPath, nav: nav});
+    return navPath;
+  }
+
+  /**
+   * Return the path of a nav item.
+   *
+   * @param  {string} folder the path of its parent folder, ``''`` at the root
+   * @param  {string} name   the item name
+   * @return {string}        the path
+   * @private
+   */
+  function joinPath(folder, name) {
+    return folder ? folder + '/' + name : name;
+  }
+
+  /**
+   * Remove the leading and trailing slashes of a nav path.
+   *
+   * @param  {string} path a nav path
+   * @return {string}      the trimmed path
+   * @private
+   */
+  function trimPath(path) {
+    return path.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Tell if a descriptor value depends on the run.
+   *
+   * @param  {any} value the value
+   * @return {boolean}   true for a template or a reference
+   * @private
+   */
+  function isDynamic(value) {
+    return clbTemplate.isTemplate(value) ||
+      clbTemplate.references(value).length > 0;
+  }
+
+  /**
+   * Return the names of the entities copied by the storage tasks.
+   *
+   * @param  {object} entities the source UUIDs by label
+   * @return {Promise}         promise of the source names by label
+   * @private
+   */
+  function sourceNames(entities) {
+    var names = {};
+    angular.forEach(entities, function(uuid, label) {
+      names[label] = hbpEntityStore.get(uuid).then(function(entity) {
+        return entity._name;
+      });
+    });
+    return $q.all(names);
+  }
+
+  /**
+   * Compare the nav items of the collab with the desired ones.
+   *
+   * @param  {Array} current  the exported nav items of the collab
+   * @param  {Array} desired  the ``{path, nav}`` of the descriptor
+   * @param  {object} sources the names of the copied entities by label
+   * @return {Array}          the changes
+   * @private
+   */
+  function diffNavItems(current, desired, sources) {
+    var changes = [];
+    var byPath = {};
+    var linked = {};
+    angular.forEach(current, function(item) {
+      var nav = item.folder ?
+        {name: item.name, folder: true} :
+        {name: item.name, app: item.app};
+      if (item.entity) {
+        nav.entity = item.entity._name;
+        linked[item.path] = item.entity;
+      }
+      byPath[item.path] = nav;
+    });
+    var seen = {};
+    angular.forEach(desired, function(d) {
+      var path = d.path;
+      var nav = d.nav;
+      seen[path] = true;
+      var existing = byPath[path];
+      if (!existing) {
+        changes.push(change('nav', 'added', path, undefined, nav));
+        return;
+      }
+      if (existing.folder && nav.folder) {
+        return;
+      }
+      // The entity is either a storage label or the UUID of a file.
+      var sameEntity = !nav.entity || (linked[path] && (
+        sources.hasOwnProperty(nav.entity) ?
+          linked[path]._name === sources[nav.entity] :
+          linked[path]._uuid === nav.entity));
+      if (Boolean(existing.folder) !== Boolean(nav.folder) ||
+          existing.app !== nav.app || !sameEntity) {
+        changes.push(change('nav', 'changed', path, existing, nav));
+      }
+    });
+    angular.forEach(byPath, function(nav, path) {
+      if (!seen[path]) {
+        changes.push(change('nav', 'removed', path, nav));
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Compare the files at the root of the collab storage with the entities
+   * copied by the descriptor.
+   *
+   * @param  {Array} files    the children of the collab storage project
+   * @param  {object} sources the names of the copied entities by label
+   * @return {Array}          the changes
+   * @private
+   */
+  function diffFiles(files, sources) {
+    var changes = [];
+    var existing = {};
+    angular.forEach(files, function(file) {
+      existing[file._name] = file;
+    });
+    var wanted = {};
+    angular.forEach(sources, function(name, label) {
+      wanted[name] = true;
+      if (!existing[name]) {
+        changes.push(change('storage', 'added', name, undefined, {
+          name: name,
+          label: label
+        }));
+      }
+    });
+    angular.forEach(existing, function(file, name) {
+      if (!wanted[name]) {
+        changes.push(change('storage', 'removed', name, {
+          name: name,
+          entity: file._uuid
+        }));
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Build a change of the diff.
+   *
+   * @param  {string} type     ``nav`` or ``storage``
+   * @param  {string} kind     ``added``, ``removed`` or ``changed``
+   * @param  {string} name     the item name
+   * @param  {object} [current] the item in the collab
+   * @param  {object} [desired] the item in the descriptor
+   * @return {object}          the change
+   * @private
+   */
+  function change(type, kind, name, current, desired) {
+    var c = {type: type, change: kind, name: name};
+    if (current) {
+      c.current = current;
+    }
+    if (desired) {
+      c.desired = desired;
+    }
+    return c;
+  }
+
+  /**
+   * Return the exported nav items and folders of a tree in depth-first
+   * order, with their path.
+   *
+   * @param  {Array} items  the nav items
+   * @param  {string} folder the path of their parent, ``''`` at the root
+   * @return {Promise}      promise of the list of ``{path, name, app,
+   *                        entity}`` or ``{path, name, folder}``
+   * @private
+   */
+  function exportNavItems(items, folder) {
+    return $q.all(items.map(function(item) {
+      var path = joinPath(folder, item.name);
+      if (item.folder) {
+        return exportNavItems(item.children, path).then(function(children) {
+          return [{path: path, name: item.name, folder: true}]
+            .concat(children);
+        });
+      }
+      return exportNavItem(item).then(function(nav) {
+        nav.path = path;
+        return [nav];
+      });
+    })).then(function(lists) {
+      return Array.prototype.concat.apply([], lists);
+    });
+  }
+
+  /**
+   * Return the list of entities of a query result.
+   *
+   * @param  {Array|object} res an array or a result set with ``results``
+   * @return {Array}            the entities
+   * @private
+   */
+  function resultList(res) {
+    return (angular.isArray(res) ? res : res && res.results) || [];
+  }
+
+  /**
+   * Export a list of nav items and the content of the folders.
+   *
+   * @param  {Array} items the nav items
+   * @return {Promise}     promise of a list of ``{name, app, entity}`` or
+   *                       ``{name, folder, children}`` for the folders
+   * @private
+   */
+  function exportTree(items) {
+    return $q.all(items.map(function(item) {
+      if (!item.folder) {
+        return exportNavItem(item);
+      }
+      return exportTree(item.children).then(function(children) {
+        return {name: item.name, folder: true, children: children};
+      });
+    }));
+  }
+
+  /**
+   * Return the app title and linked entity of a nav item.
+   *
+   * @param  {NavItem} item the nav item
+   * @return {Promise}      promise of ``{name, app, entity}``
+   * @private
+   */
+  function exportNavItem(item) {
+    return $q.all({
+      app: hbpCollaboratoryAppStore.getById(item.appId),
+      entity: linkedEntity(item)
+    }).then(function(r) {
+      return {
+        name: item.name,
+        app: r.app && r.app.title,
+        entity: r.entity
+      };
+    });
+  }
+
+  /**
+   * Return the first entity linked to the context of a nav item.
+   *
+   * @param  {NavItem} item the nav item
+   * @return {Promise}      promise of the entity or null
+   * @private
+   */
+  function linkedEntity(item) {
+    return hbpCollaboratoryStorage.getEntityByContext(item.context)
+    .then(function(res) {
+      return resultList(res)[0] || null;
+    });
+  }
+
+  /**
+   * Assemble the descriptor of the collab.
+   *
+   * @param  {object} collab   the collab attributes
+   * @param  {Array} navs      the exported nav items
+   * @param  {object} overview the entity linked to the overview or null
+   * @return {object}          the descriptor
+   * @private
+   */
+  function buildDescriptor(collab, navs, overview) {
+    var entities = {};
+    var names = {};
+    var navTasks = buildNavTasks(navs, entities, names);
+    var tasks = [];
+    if (navTasks.length) {
+      tasks.push({sequence: {tasks: navTasks}});
+    }
+    if (Object.keys(entities).length) {
+      tasks = [{storage: {entities: entities, after: tasks}}];
+    }
+    if (overview) {
+      tasks.push({overview: {entity: overview._uuid}});
+    }
+    var descriptor = {
+      title: collab.title || 'Copy of collab ' + collab.id
+    };
+    if (angular.isDefined(collab.content)) {
+      descriptor.content = collab.content;
+    }
+    if (angular.isDefined(collab.private)) {
+      descriptor.private = collab.private;
+    }
+    descriptor.after = tasks;
+    return {collab: descriptor};
+  }
+
+  /**
+   * Return the ``nav`` and ``folder`` tasks of the exported nav items.
+   *
+   * @param  {Array} navs      the exported nav items
+   * @param  {object} entities the storage entities, by name
+   * @param  {object} names    the names already given, by entity UUID
+   * @return {Array}           the task definitions
+   * @private
+   */
+  function buildNavTasks(navs, entities, names) {
+    var tasks = [];
+    angular.forEach(navs, function(nav) {
+      if (nav.folder) {
+        var folder = {name: nav.name};
+        var children = buildNavTasks(nav.children, entities, names);
+        if (children.length) {
+          folder.after = [{sequence: {tasks: children}}];
+        }
+        tasks.push({folder: folder});
+        return;
+      }
+      if (!nav.app) {
+        $log.warn('Skip nav item with an unknown app', nav.name);
+        return;
+      }
+      var descriptor = {name: nav.name, app: nav.app};
+      if (nav.entity) {
+        descriptor.entity = entityName(nav.entity, entities, names);
+      }
+      tasks.push({nav: descriptor});
+    });
+    return tasks;
+  }
+
+  /**
+   * Add ``entity`` to the storage entities and return its unique name.
+   *
+   * @param  {object} entity   the linked entity
+   * @param  {object} entities the storage entities, by name
+   * @param  {object} names    the names already given, by entity UUID
+   * @return {string}          the name of the entity in the storage task
+   * @private
+   */
+  function entityName(entity, entities, names) {
+    if (names[entity._uuid]) {
+      return names[entity._uuid];
+    }
+    var base = entity._name || entity._uuid;
+    var name = base;
+    for (var i = 2; entities.hasOwnProperty(name); i++) {
+      name = base + ' (' + i + ')';
+    }
+    entities[name] = entity._uuid;
+    names[entity._uuid] = name;
+    return name;
+  }
+
+  return {
+    exportCollab: exportCollab,
+    diffCollab: diffCollab
+  };
+}
@@ -0,0 +1,355 @@
+describe('clbAutomatorExport', function() {
+  var scope;
+  var $q;
+  var exporter;
+  var navStore;
+  var appStore;
+  var storage;
+  var apps;
+  var links;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function(
+    $rootScope, _$q_, clbAutomatorExport,
+    hbpCollaboratoryNavStore, hbpCollaboratoryAppStore,
+    hbpCollaboratoryStorage
+  ) {
+    scope = $rootScope;
+    $q = _$q_;
+    exporter = clbAutomatorExport;
+    navStore = hbpCollaboratoryNavStore;
+    appStore = hbpCollaboratoryAppStore;
+    storage = hbpCollaboratoryStorage;
+    apps = {
+      1: {id: 1, title: 'Rich Text Editor'},
+      2: {id: 2, title: 'Jupyter Notebook'}
+    };
+    links = {};
+    spyOn(appStore, 'getById').and.callFake(function(id) {
+      return $q.when(apps[id] || null);
+    });
+    spyOn(storage, 'getEntityByContext').and.callFake(function(ctx) {
+      return $q.when({results: links[ctx] ? [links[ctx]] : []});
+    });
+  }));
+
+  var nav = function(attrs) {
+    return new navStore.NavItem(attrs);
+  };
+
+  var exportTree = function(children, collab) {
+    var descriptor;
+    spyOn(navStore, 'getRoot').and.returnValue($q.when(nav({
+      id: 1,
+      context: 'root',
+      children: children
+    })));
+    exporter.exportCollab(collab || {id: 42, title: 'Template'})
+    .then(function(d) {
+      descriptor = d;
+    });
+    scope.$digest();
+    return descriptor;
+  };
+
+  it('should export the nav items in order', function() {
+    var descriptor = exportTree([
+      nav({name: 'Overview', appId: 1, context: 'ctx0'}),
+      nav({name: 'Notes', appId: 1, context: 'ctx1'}),
+      nav({name: 'Code', appId: 2, context: 'ctx2'})
+    ]);
+    expect(navStore.getRoot).toHaveBeenCalledWith(42);
+    expect(descriptor).toEqual({collab: {
+      title: 'Template',
+      after: [{sequence: {tasks: [
+        {nav: {name: 'Notes', app: 'Rich Text Editor'}},
+        {nav: {name: 'Code', app: 'Jupyter Notebook'}}
+      ]}}]
+    }});
+  });
+
+  it('should copy the linked entities', function() {
+    links.ctx1 = {_uuid: 'u1', _name: 'notebook.ipynb'};
+    links.ctx2 = {_uuid: 'u2', _name: 'notebook.ipynb'};
+    var descriptor = exportTree([
+      nav({name: 'Overview', appId: 1, context: 'ctx0'}),
+      nav({name: 'First', appId: 2, context: 'ctx1'}),
+      nav({name: 'Second', appId: 2, context: 'ctx2'})
+    ]);
+    expect(descriptor.collab.after).toEqual([{storage: {
+      entities: {
+        'notebook.ipynb': 'u1',
+        'notebook.ipynb (2)': 'u2'
+      },
+      after: [{sequence: {tasks: [
+        {nav: {name: 'First', app: 'Jupyter Notebook',
+               entity: 'notebook.ipynb'}},
+        {nav: {name: 'Second', app: 'Jupyter Notebook',
+               entity: 'notebook.ipynb (2)'}}
+      ]}}]
+    }}]);
+  });
+
+  it('should export the overview content', function() {
+    links.ctx0 = {_uuid: 'u0', _name: 'overview.html'};
+    var descriptor = exportTree([
+      nav({name: 'Overview', appId: 1, context: 'ctx0'})
+    ]);
+    expect(descriptor.collab.after).toEqual([
+      {overview: {entity: 'u0'}}
+    ]);
+  });
+
+  it('should export the folders', function() {
+    var descriptor = exportTree([
+      nav({name: 'Overview', appId: 1, context: 'ctx0'}),
+      nav({name: 'Folder', folder: true, context: 'ctx1', children: [
+        nav({name: 'Nested', appId: 1, context: 'ctx2'})
+      ]}),
+      nav({name: 'Empty', folder: true, context: 'ctx3'})
+    ]);
+    expect(descriptor.collab.after[0].sequence.tasks).toEqual([
+      {folder: {name: 'Folder', after: [{sequence: {tasks: [
+        {nav: {name: 'Nested', app: 'Rich Text Editor'}}
+      ]}}]}},
+      {folder: {name: 'Empty'}}
+    ]);
+  });
+
+  it('should load the collab from its id', inject(function(hbpCollabStore) {
+    spyOn(hbpCollabStore, 'get').and.returnValue($q.when({
+      id: 7,
+      title: 'Remote',
+      content: 'Description',
+      private: true
+    }));
+    var descriptor = exportTree([], 7);
+    expect(hbpCollabStore.get).toHaveBeenCalledWith(7);
+    expect(navStore.getRoot).toHaveBeenCalledWith(7);
+    expect(descriptor.collab).toEqual({
+      title: 'Remote',
+      content: 'Description',
+      private: true,
+      after: []
+    });
+  }));
+
+  it('should load a collab without title', inject(function(hbpCollabStore) {
+    spyOn(hbpCollabStore, 'get').and.returnValue($q.when({
+      id: 7,
+      title: 'Remote'
+    }));
+    var descriptor = exportTree([], {id: 7});
+    expect(hbpCollabStore.get).toHaveBeenCalledWith(7);
+    expect(descriptor.collab.title).toBe('Remote');
+  }));
+
+  it('should produce a valid descriptor', inject(function(clbAutomator) {
+    links.ctx1 = {_uuid: 'u1', _name: 'notebook.ipynb'};
+    var descriptor = exportTree([
+      nav({name: 'Overview', appId: 1, context: 'ctx0'}),
+      nav({name: 'Code', appId: 2, context: 'ctx1'})
+    ], {id: 42, title: 'Template', content: 'Description', private: true});
+    expect(function() {
+      clbAutomator.task('collab', descriptor.collab);
+    }).not.toThrow();
+  }));
+
+  describe('diffCollab(descriptor, collabId)', function() {
+    var entityStore;
+    var files;
+    var sources;
+
+    beforeEach(inject(function(hbpEntityStore) {
+      entityStore = hbpEntityStore;
+      files = [];
+      sources = {
+        u1: {_uuid: 'u1', _name: 'notebook.ipynb'},
+        u2: {_uuid: 'u2', _name: 'data.csv'}
+      };
+      spyOn(storage, 'getProjectByCollab')
+        .and.returnValue($q.when({_uuid: 'project'}));
+      spyOn(entityStore, 'getChildren').and.callFake(function() {
+        return $q.when({results: files});
+      });
+      spyOn(entityStore, 'get').and.callFake(function(uuid) {
+        return $q.when(sources[uuid]);
+      });
+    }));
+
+    var diffTree = function(children, descriptor, collabId) {
+      var diff;
+      spyOn(navStore, 'getRoot').and.returnValue($q.when(nav({
+        id: 1,
+        context: 'root',
+        children: [nav({name: 'Overview', appId: 1, context: 'ctx0'})]
+          .concat(children)
+      })));
+      exporter.diffCollab(descriptor, collabId).then(function(d) {
+        diff = d;
+      });
+      scope.$digest();
+      return diff;
+    };
+
+    it('should list the added, removed and changed nav items', function() {
+      var diff = diffTree([
+        nav({name: 'Notes', appId: 1, context: 'ctx1'}),
+        nav({name: 'Code', appId: 1, context: 'ctx2'}),
+        nav({name: 'Old', appId: 1, context: 'ctx3'})
+      ], {collab: {collab: 42, after: [
+        {nav: {name: 'Notes', app: 'Rich Text Editor'}},
+        {nav: {name: 'Code', app: 'Jupyter Notebook'}},
+        {nav: {name: 'New', app: 'Rich Text Editor'}}
+      ]}});
+      expect(navStore.getRoot).toHaveBeenCalledWith(42);
+      expect(diff.changes).toEqual([{
+        type: 'nav',
+        change: 'changed',
+        name: 'Code',
+        current: {name: 'Code', app: 'Rich Text Editor'},
+        desired: {name: 'Code', app: 'Jupyter Notebook'}
+      }, {
+        type: 'nav',
+        change: 'added',
+        name: 'New',
+        desired: {name: 'New', app: 'Rich Text Editor'}
+      }, {
+        type: 'nav',
+        change: 'removed',
+        name: 'Old',
+        current: {name: 'Old', app: 'Rich Text Editor'}
+      }]);
+    });
+
+    it('should match the nav items by path', function() {
+      var diff = diffTree([
+        nav({name: 'Notes', appId: 1, context: 'ctx1'}),
+        nav({name: 'Docs', folder: true, context: 'ctx2', children: [
+          nav({name: 'Notes', appId: 1, context: 'ctx3'})
+        ]}),
+        nav({name: 'Old', folder: true, context: 'ctx4'})
+      ], {collab: {collab: 42, after: [
+        {nav: {name: 'Notes', app: 'Rich Text Editor'}},
+        {folder: {name: 'Docs', after: [
+          {nav: {name: 'Notes', app: 'Jupyter Notebook'}}
+        ]}},
+        {folder: {name: 'New'}},
+        {nav: {name: 'Intro', app: 'Rich Text Editor', parent: '/Docs'}}
+      ]}});
+      expect(diff.changes).toEqual([{
+        type: 'nav',
+        change: 'changed',
+        name: 'Docs/Notes',
+        current: {name: 'Notes', app: 'Rich Text Editor'},
+        desired: {name: 'Notes', app: 'Jupyter Notebook'}
+      }, {
+        type: 'nav',
+        change: 'added',
+        name: 'New',
+        desired: {name: 'New', folder: true}
+      }, {
+        type: 'nav',
+        change: 'added',
+        name: 'Docs/Intro',
+        desired: {name: 'Intro', app: 'Rich Text Editor'}
+      }, {
+        type: 'nav',
+        change: 'removed',
+        name: 'Old',
+        current: {name: 'Old', folder: true}
+      }]);
+    });
+
+    it('should skip the items of a folder known at run time', function() {
+      var diff = diffTree([], {collab: {collab: 42, after: [
+        {folder: {name: '{{title}}', after: [
+          {nav: {name: 'Notes', app: 'Rich Text Editor'}}
+        ]}},
+        {nav: {name: 'Code', app: 'Jupyter Notebook', parent: 12}}
+      ]}});
+      expect(diff.changes).toEqual([]);
+      expect(diff.skipped.map(function(s) {
+        return s.path;
+      })).toEqual([
+        '$.collab.after[0].folder',
+        '$.collab.after[0].folder.after[0].nav',
+        '$.collab.after[1].nav'
+      ]);
+    });
+
+    it('should compare the files of the storage', function() {
+      files = [
+        {_uuid: 'c1', _name: 'notebook.ipynb'},
+        {_uuid: 'c3', _name: 'old.txt'}
+      ];
+      var diff = diffTree([], {storage: {entities: {
+        nb: 'u1',
+        data: 'u2'
+      }}}, 42);
+      expect(storage.getProjectByCollab).toHaveBeenCalledWith(42);
+      expect(diff.changes).toEqual([{
+        type: 'storage',
+        change: 'added',
+        name: 'data.csv',
+        desired: {name: 'data.csv', label: 'data'}
+      }, {
+        type: 'storage',
+        change: 'removed',
+        name: 'old.txt',
+        current: {name: 'old.txt', entity: 'c3'}
+      }]);
+    });
+
+    it('should compare the linked entities', function() {
+      links.ctx1 = {_uuid: 'c1', _name: 'notebook.ipynb'};
+      links.ctx2 = {_uuid: 'c2', _name: 'notebook.ipynb'};
+      files = [links.ctx1];
+      var diff = diffTree([
+        nav({name: 'Same', appId: 2, context: 'ctx1'}),
+        nav({name: 'Other', appId: 2, context: 'ctx2'})
+      ], {storage: {
+        entities: {nb: 'u1'},
+        after: [{sequence: {tasks: [
+          {nav: {name: 'Same', app: 'Jupyter Notebook', entity: 'nb'}},
+          {nav: {name: 'Other', app: 'Jupyter Notebook', entity: 'u9'}}
+        ]}}]
+      }}, 42);
+      expect(diff.changes.length).toBe(1);
+      expect(diff.changes[0].name).toBe('Other');
+      expect(diff.changes[0].change).toBe('changed');
+    });
+
+    it('should reject a descriptor without collab id', function() {
+      var error;
+      spyOn(navStore, 'getRoot');
+      exporter.diffCollab({collab: {title: 'New', after: []}})
+      .catch(function(err) {
+        error = err;
+      });
+      scope.$digest();
+      expect(error.type).toBe('KeyError');
+      expect(navStore.getRoot).not.toHaveBeenCalled();
+      expect(storage.getProjectByCollab).not.toHaveBeenCalled();
+    });
+
+    it('should skip what is only known at run time', function() {
+      var diff = diffTree([], {collab: {collab: 42, after: [
+        {nav: {name: '{{title}}', app: 'Rich Text Editor'}},
+        {storage: {entities: {nb: '$ref:files.nb'}}},
+        {forEach: {items: [], tasks: []}}
+      ]}});
+      expect(diff.changes).toEqual([]);
+      expect(diff.skipped).toEqual([{
+        path: '$.collab.after[0].nav',
+        reason: 'is only known at run time'
+      }, {
+        path: '$.collab.after[1].storage.entities.nb',
+        reason: 'is only known at run time'
+      }, {
+        path: '$.collab.after[2].forEach',
+        reason: 'forEach tasks are not compared'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+angular.module('clb-automator')
+.run(function includeTemplate(
+  $log,
+  $q,
+  hbpErrorService,
+  clbAutomator
+) {
+  clbAutomator.registerHandler('include', include, {
+    description: 'Run a registered or stored descriptor fragment',
+    composite: true,
+    plan: planInclude,
+    schema: {
+      type: 'object',
+      anyOf: [{required: ['template']}, {required: ['entity']}],
+      properties: {
+        template: {type: 'string', minLength: 1},
+        entity: {type: 'string'},
+        parameters: {type: 'object'}
+      }
+    }
+  });
+
+  /**
+   * Run a descriptor fragment.
+   *
+   * The fragment is either a template registered with
+   * ``clbAutomator.registerTemplate`` or the content of a file entity,
+   * loaded with ``clbAutomator.load``. Either way, a fragment holding a list
+   * of tasks runs them concurrently, with the ``parameters`` available as
+   * variables of the ``{{ }}`` placeholders.
+   *
+   * @example <caption>Reuse a fragment in several collab templates</caption>
+   * clbAutomator.registerTemplate('notebook', {
+   *   "storage": {
+   *     "entities": {"notebook.ipynb": "{{uuid}}"},
+   *     "after": [{
+   *       "nav": {"name": "{{title}}", "app": "Jupyter Notebook",
+   *               "entity": "notebook.ipynb"}
+   *     }]
+   *   }
+   * });
+   * clbAutomator.run({
+   *   "collab": {
+   *     "title": "My Collab",
+   *     "after": [{
+   *       "include": {
+   *         "template": "notebook",
+   *         "parameters": {
+   *           "title": "Example Code",
+   *           "uuid": "155c1bcc-ee9c-43e2-8190-50c66befa1fa"
+   *         }
+   *       }
+   *     }]
+   *   }
+   * });
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {string} [descriptor.template] the name of a registered template
+   * @param {string} [descriptor.entity] the UUID of a file entity containing
+   *                                     the fragment
+   * @param {object} [descriptor.parameters] variables given to the fragment
+   * @param {object} context the current task context
+   * @return {Promise} promise of the list of the fragment tasks results
+   */
+  function include(descriptor, context) {
+    var self = this;
+    $log.debug('Include template', descriptor);
+    return addFragment(self, descriptor).then(function(tasks) {
+      return self.runChildren(fragmentContext(descriptor, context), null,
+        tasks);
+    });
+  }
+
+  /**
+   * Plan each task of the fragment.
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the include plan
+   * @private
+   */
+  function planInclude(descriptor, context) {
+    var self = this;
+    return addFragment(self, descriptor).then(function(tasks) {
+      return self.runChildren(fragmentContext(descriptor, context), null,
+        tasks);
+    }).then(function(plans) {
+      return {
+        action: 'include',
+        data: {
+          template: descriptor.template,
+          entity: descriptor.entity,
+          parameters: descriptor.parameters
+        },
+        tasks: plans
+      };
+    });
+  }
+
+  /**
+   * Create the tasks of the fragment as children of ``task``.
+   * @param {Task} task the include task
+   * @param {object} descriptor the task configuration
+   * @return {Promise} promise of the fragment tasks
+   * @private
+   */
+  function addFragment(task, descriptor) {
+    // The fragment is already there when the task is retried.
+    if (task.children.length) {
+      return $q.when(task.children);
+    }
+    var fragment;
+    if (descriptor.template) {
+      if (!clbAutomator.templates.hasOwnProperty(descriptor.template)) {
+        return $q.reject(hbpErrorService.error({
+          type: 'TemplateNotFound',
+          message: 'Unknown template ' + descriptor.template,
+          data: {template: descriptor.template}
+        }));
+      }
+      fragment = $q.when(clbAutomator.templates[descriptor.template]);
+    } else {
+      fragment = clbAutomator.load(descriptor.entity, {fragment: true});
+    }
+    return fragment.then(function(taskDefs) {
+      taskDefs = angular.isArray(taskDefs) ? taskDefs : [taskDefs];
+      try {
+        return task.addChildren(angular.copy(taskDefs), 'template');
+      } catch (ex) {
+        return $q.reject(ex);
+      }
+    });
+  }
+
+  /**
+   * Return the context of the fragment tasks.
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {object} the context with the parameters added to the variables
+   * @private
+   */
+  function fragmentContext(descriptor, context) {
+    var variables = angular.extend({}, context && context.variables,
+      descriptor.parameters);
+    return angular.extend({}, context, {variables: variables});
+  }
+});
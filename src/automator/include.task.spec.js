@@ -0,0 +1,125 @@
+/* eslint max-nested-callbacks: 0 */
+describe('include task handler', function() {
+  var automator;
+  var scope;
+  var $q;
+  var calls;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function($rootScope, _$q_, clbAutomator) {
+    automator = clbAutomator;
+    scope = $rootScope;
+    $q = _$q_;
+    calls = [];
+    automator.registerHandler('step', function(descriptor) {
+      calls.push(descriptor.key);
+      return descriptor.key.toUpperCase();
+    });
+    automator.registerTemplate('steps', [
+      {step: {key: '{{first}}'}},
+      {step: {key: '{{second}}'}}
+    ]);
+  }));
+
+  it('should run a registered template with its parameters', function() {
+    var result;
+    automator.run({include: {
+      template: 'steps',
+      parameters: {first: 'a', second: 'b'}
+    }}).then(function(r) {
+      result = r;
+    });
+    scope.$digest();
+    expect(calls).toEqual(['a', 'b']);
+    expect(result).toEqual(['A', 'B']);
+  });
+
+  it('should give the run variables to the template', function() {
+    automator.run({include: {
+      template: 'steps',
+      parameters: {second: 'b'}
+    }}, {variables: {first: 'a'}});
+    scope.$digest();
+    expect(calls).toEqual(['a', 'b']);
+  });
+
+  it('should load a template from an entity', inject(function(
+    hbpFileStore
+  ) {
+    var uuid = '155c1bcc-ee9c-43e2-8190-50c66befa1fa';
+    spyOn(hbpFileStore, 'getContent')
+      .and.returnValue($q.when('step:\n  key: "{{name}}"'));
+    automator.run({include: {entity: uuid, parameters: {name: 'c'}}});
+    scope.$digest();
+    expect(hbpFileStore.getContent).toHaveBeenCalledWith(uuid);
+    expect(calls).toEqual(['c']);
+  }));
+
+  it('should run the tasks of an entity list concurrently', inject(function(
+    hbpFileStore
+  ) {
+    var result;
+    var pending = {};
+    automator.registerHandler('wait', function(descriptor) {
+      calls.push(descriptor.key);
+      pending[descriptor.key] = $q.defer();
+      return pending[descriptor.key].promise;
+    });
+    spyOn(hbpFileStore, 'getContent')
+      .and.returnValue($q.when('- wait: {key: a}\n- wait: {key: b}'));
+    automator.run({include: {entity: '155c1bcc-ee9c-43e2-8190-50c66befa1fa'}})
+    .then(function(r) {
+      result = r;
+    });
+    scope.$digest();
+    expect(calls).toEqual(['a', 'b']);
+    pending.b.resolve('B');
+    pending.a.resolve('A');
+    scope.$digest();
+    expect(result).toEqual(['A', 'B']);
+  }));
+
+  it('should reject an unknown template', function() {
+    var error;
+    automator.run({include: {template: 'unknown'}}).catch(function(err) {
+      error = err;
+    });
+    scope.$digest();
+    expect(error.type).toBe('TemplateNotFound');
+  });
+
+  it('should validate the template', function() {
+    var error;
+    automator.registerTemplate('invalid', {nav: {name: 'No app'}});
+    automator.run({include: {template: 'invalid'}}).catch(function(err) {
+      error = err;
+    });
+    scope.$digest();
+    expect(error.type).toBe('InvalidDescriptor');
+    expect(error.data.errors[0].path).toBe('$.include.template[0].nav');
+  });
+
+  it('should require a template or an entity', function() {
+    var error;
+    automator.run({include: {parameters: {}}}).catch(function(err) {
+      error = err;
+    });
+    scope.$digest();
+    expect(error.type).toBe('InvalidDescriptor');
+  });
+
+  it('should plan the template tasks in dry-run mode', function() {
+    var plan;
+    automator.run({include: {
+      template: 'steps',
+      parameters: {first: 'a', second: 'b'}
+    }}, {}, {dryRun: true}).then(function(r) {
+      plan = r;
+    });
+    scope.$digest();
+    expect(calls).toEqual([]);
+    expect(plan.plan.action).toBe('include');
+    expect(plan.plan.tasks.length).toBe(2);
+    expect(plan.plan.tasks[1].descriptor.key).toBe('b');
+  });
+});
@@ -0,0 +1,65 @@
+angular.module('clb-automator')
+.factory('clbAutomatorJournal', clbAutomatorJournal);
+
+/**
+ * @namespace clbAutomatorJournal
+ * @memberof module:clb-automator
+ * @desc
+ * clbAutomatorJournal is the default store of the automator run journals.
+ * Journals are kept in the browser ``localStorage`` so that a run can be
+ * resumed after a page reload using ``clbAutomator.resume(runId)``.
+ *
+ * Any object providing the same ``save`` and ``load`` methods can be given
+ * as the ``journal`` option of a run instead. Both methods can return
+ * a promise.
+ *
+ * @example <caption>Remove the journal of a completed run</caption>
+ * clbAutomator.run(descriptor, {}, {journal: true, runId: 'my-run'})
+ * .then(function() {
+ *   clbAutomatorJournal.remove('my-run');
+ * });
+ * @param {object} $window injected service
+ * @return {object} the clbAutomatorJournal Angular service singleton
+ */
+function clbAutomatorJournal($window) {
+  var keyPrefix = 'clbAutomator.run.';
+
+  /**
+   * Save the journal of a run, replacing the previous version.
+   *
+   * @memberof module:clb-automator.clbAutomatorJournal
+   * @param  {string} runId  the run id
+   * @param  {object} record the journal, it must be serializable to JSON
+   */
+  function save(runId, record) {
+    $window.localStorage.setItem(keyPrefix + runId, angular.toJson(record));
+  }
+
+  /**
+   * Load the journal of a run.
+   *
+   * @memberof module:clb-automator.clbAutomatorJournal
+   * @param  {string} runId the run id
+   * @return {object}       the journal or ``null`` if it does not exist
+   */
+  function load(runId) {
+    var raw = $window.localStorage.getItem(keyPrefix + runId);
+    return raw ? angular.fromJson(raw) : null;
+  }
+
+  /**
+   * Delete the journal of a run.
+   *
+   * @memberof module:clb-automator.clbAutomatorJournal
+   * @param  {string} runId the run id
+   */
+  function remove(runId) {
+    $window.localStorage.removeItem(keyPrefix + runId);
+  }
+
+  return {
+    save: save,
+    load: load,
+    remove: remove
+  };
+}
@@ -0,0 +1,38 @@
+describe('clbAutomatorJournal', function() {
+  var journal;
+  var storage;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function($window, clbAutomatorJournal) {
+    storage = $window.localStorage;
+    journal = clbAutomatorJournal;
+  }));
+
+  afterEach(function() {
+    journal.remove('run1');
+  });
+
+  it('should save a journal as JSON', function() {
+    journal.save('run1', {state: 'progress'});
+    expect(storage.getItem('clbAutomator.run.run1'))
+      .toBe('{"state":"progress"}');
+  });
+
+  it('should load a saved journal', function() {
+    journal.save('run1', {state: 'progress', tasks: {'$.a': {}}});
+    expect(journal.load('run1')).toEqual({
+      state: 'progress',
+      tasks: {'$.a': {}}
+    });
+  });
+
+  it('should return null for an unknown run', function() {
+    expect(journal.load('unknown')).toBe(null);
+  });
+
+  it('should remove a journal', function() {
+    journal.save('run1', {});
+    journal.remove('run1');
+    expect(journal.load('run1')).toBe(null);
+  });
+});
@@ -0,0 +1,163 @@
+angular.module('clb-automator')
+.factory('clbJsonSchema', clbJsonSchema);
+
+/**
+ * @namespace clbJsonSchema
+ * @memberof module:clb-automator
+ * @desc
+ * clbJsonSchema validates JavaScript values against a JSON Schema.
+ *
+ * Only the subset of JSON Schema used to describe task descriptors is
+ * supported: ``type``, ``enum``, ``required``, ``properties``,
+ * ``additionalProperties``, ``items``, ``minItems``, ``minLength``,
+ * ``minimum``, ``pattern`` and ``anyOf``.
+ *
+ * @example <caption>Validate a nav descriptor</caption>
+ * var errors = clbJsonSchema.validate({
+ *   type: 'object',
+ *   required: ['name'],
+ *   properties: {
+ *     name: {type: 'string'}
+ *   }
+ * }, {name: 1}, '$.nav');
+ * // errors: [{path: '$.nav.name', message: 'should be string'}]
+ * @return {object} the clbJsonSchema Angular service singleton
+ */
+function clbJsonSchema() {
+  /**
+   * Return the JSON Schema type of ``value``.
+   *
+   * @memberof module:clb-automator.clbJsonSchema
+   * @param  {any} value any JavaScript value
+   * @return {string}    the JSON Schema type name
+   * @private
+   */
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (angular.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  }
+
+  /**
+   * Test if ``value`` is an instance of the JSON Schema ``type``.
+   *
+   * @memberof module:clb-automator.clbJsonSchema
+   * @param  {any} value    any JavaScript value
+   * @param  {string} type  a JSON Schema type name
+   * @return {boolean}      true if value has the given type
+   * @private
+   */
+  function hasType(value, type) {
+    if (type === 'integer') {
+      return angular.isNumber(value) && value % 1 === 0;
+    }
+    return typeOf(value) === type;
+  }
+
+  /**
+   * Validate ``value`` against ``schema``.
+   *
+   * @memberof module:clb-automator.clbJsonSchema
+   * @param  {object} schema a JSON Schema
+   * @param  {any} value     the value to validate
+   * @param  {string} [path] the JSON path of value, default to ``$``
+   * @return {Array}         a list of ``{path, message}``, empty when
+   *                         ``value`` is valid
+   */
+  function validate(schema, value, path) {
+    var errors = [];
+    path = path || '$';
+    if (!schema) {
+      return errors;
+    }
+    var error = function(message) {
+      errors.push({path: path, message: message});
+    };
+
+    if (schema.type) {
+      var types = angular.isArray(schema.type) ? schema.type : [schema.type];
+      var valid = false;
+      angular.forEach(types, function(type) {
+        valid = valid || hasType(value, type);
+      });
+      if (!valid) {
+        error('should be ' + types.join(' or '));
+        return errors;
+      }
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+      error('should be one of ' + angular.toJson(schema.enum));
+    }
+
+    if (schema.anyOf) {
+      var matchOne = false;
+      angular.forEach(schema.anyOf, function(subSchema) {
+        matchOne = matchOne || validate(subSchema, value, path).length === 0;
+      });
+      if (!matchOne) {
+        error('should match at least one schema in anyOf');
+      }
+    }
+
+    if (angular.isString(value)) {
+      if (angular.isDefined(schema.minLength) &&
+          value.length < schema.minLength) {
+        error('should have at least ' + schema.minLength + ' characters');
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        error('should match pattern ' + schema.pattern);
+      }
+    }
+
+    if (angular.isNumber(value) && angular.isDefined(schema.minimum) &&
+        value < schema.minimum) {
+      error('should be greater than or equal to ' + schema.minimum);
+    }
+
+    if (angular.isArray(value)) {
+      if (angular.isDefined(schema.minItems) &&
+          value.length < schema.minItems) {
+        error('should have at least ' + schema.minItems + ' items');
+      }
+      if (schema.items) {
+        angular.forEach(value, function(item, i) {
+          errors.push.apply(errors,
+            validate(schema.items, item, path + '[' + i + ']'));
+        });
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      angular.forEach(schema.required, function(key) {
+        if (angular.isUndefined(value[key])) {
+          error('should have required property ' + key);
+        }
+      });
+      var properties = schema.properties || {};
+      // Object.keys as angular.forEach calls any ``forEach`` property.
+      Object.keys(value).forEach(function(key) {
+        var v = value[key];
+        var subPath = path + '.' + key;
+        if (properties[key]) {
+          errors.push.apply(errors, validate(properties[key], v, subPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push({path: subPath, message: 'is not allowed'});
+        } else if (angular.isObject(schema.additionalProperties)) {
+          errors.push.apply(errors,
+            validate(schema.additionalProperties, v, subPath));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  return {
+    validate: validate
+  };
+}
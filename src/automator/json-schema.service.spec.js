@@ -0,0 +1,99 @@
+describe('clbJsonSchema', function() {
+  var validate;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function(clbJsonSchema) {
+    validate = clbJsonSchema.validate;
+  }));
+
+  it('should return an empty list for a valid value', function() {
+    expect(validate({type: 'string'}, 'abc')).toEqual([]);
+  });
+
+  it('should validate the type', function() {
+    expect(validate({type: 'string'}, 1)).toEqual([{
+      path: '$',
+      message: 'should be string'
+    }]);
+  });
+
+  it('should accept a list of types', function() {
+    var schema = {type: ['integer', 'string']};
+    expect(validate(schema, 1)).toEqual([]);
+    expect(validate(schema, '1')).toEqual([]);
+    expect(validate(schema, 1.5).length).toBe(1);
+  });
+
+  it('should distinguish arrays, objects and null', function() {
+    expect(validate({type: 'object'}, []).length).toBe(1);
+    expect(validate({type: 'object'}, null).length).toBe(1);
+    expect(validate({type: 'array'}, []).length).toBe(0);
+    expect(validate({type: 'null'}, null).length).toBe(0);
+  });
+
+  it('should validate enum', function() {
+    expect(validate({enum: ['a', 'b']}, 'c')[0].message)
+    .toBe('should be one of ["a","b"]');
+  });
+
+  it('should validate strings', function() {
+    expect(validate({minLength: 2}, 'a').length).toBe(1);
+    expect(validate({pattern: '^a'}, 'ba').length).toBe(1);
+  });
+
+  it('should validate numbers', function() {
+    expect(validate({minimum: 1}, 0)[0].message)
+    .toBe('should be greater than or equal to 1');
+    expect(validate({minimum: 1}, 1)).toEqual([]);
+  });
+
+  it('should validate array items', function() {
+    var schema = {type: 'array', minItems: 1, items: {type: 'string'}};
+    expect(validate(schema, [])[0].message)
+    .toBe('should have at least 1 items');
+    expect(validate(schema, ['a', 2], '$.list')).toEqual([{
+      path: '$.list[1]',
+      message: 'should be string'
+    }]);
+  });
+
+  it('should validate object properties', function() {
+    var schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: {type: 'string'}
+      },
+      additionalProperties: false
+    };
+    expect(validate(schema, {other: 1}, '$.nav')).toEqual([{
+      path: '$.nav',
+      message: 'should have required property name'
+    }, {
+      path: '$.nav.other',
+      message: 'is not allowed'
+    }]);
+  });
+
+  it('should validate additional properties with a schema', function() {
+    var schema = {additionalProperties: {type: 'string'}};
+    expect(validate(schema, {a: 'a', b: 1})).toEqual([{
+      path: '$.b',
+      message: 'should be string'
+    }]);
+  });
+
+  it('should validate anyOf', function() {
+    var schema = {anyOf: [{type: 'string'}, {type: 'integer'}]};
+    expect(validate(schema, 1)).toEqual([]);
+    expect(validate(schema, true).length).toBe(1);
+  });
+
+  it('should validate an object with a forEach property', function() {
+    var schema = {properties: {forEach: {type: 'object'}}};
+    expect(validate(schema, {forEach: 1})).toEqual([{
+      path: '$.forEach',
+      message: 'should be object'
+    }]);
+  });
+});
@@ -3,7 +3,18 @@ angular.module('clb-automator')
   $log, $q, $http, bbpConfig, hbpFileStore, hbpErrorService,
   clbAutomator, hbpCollaboratoryNavStore
 ) {
-  clbAutomator.registerHandler('overview', overview);
+  clbAutomator.registerHandler('overview', overview, {
+    description: 'Fill the overview page with the content of a file',
+    plan: planOverview,
+    schema: {
+      type: 'object',
+      required: ['entity'],
+      properties: {
+        entity: {type: 'string'},
+        collab: {type: ['integer', 'string']}
+      }
+    }
+  });
 
   /**
    * Set the content of the overview page using
@@ -26,6 +37,7 @@ angular.module('clb-automator')
    */
   function overview(descriptor, context) {
     $log.debug("Fill overview page with content from entity");
+    var cancelToken = this.cancelToken;
     var fetch = {
       rootNav: hbpCollaboratoryNavStore.getRoot(
         descriptor.collab || context.collab.id),
@@ -37,12 +49,33 @@ angular.module('clb-automator')
       return $http.post(bbpConfig.get('api.richtext.v0') + '/richtext/', {
         ctx: overview.context,
         raw: results.source
+      }, {
+        timeout: cancelToken
       }).then(function() {
         return overview;
       });
     });
   }
 
+  /**
+   * Describe the overview page update done by ``overview``.
+   *
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {object} the plan of the overview update
+   * @private
+   */
+  function planOverview(descriptor, context) {
+    return {
+      action: 'writeOverview',
+      data: {
+        collab: descriptor.collab ||
+          (context && context.collab && context.collab.id),
+        entity: descriptor.entity
+      }
+    };
+  }
+
   /**
    * Download file entity content.
    *
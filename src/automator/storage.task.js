@@ -5,23 +5,44 @@ angular.module('clb-automator')
   clbAutomator,
   hbpCollaboratoryStorage
 ) {
-  clbAutomator.registerHandler('storage', storage);
+  clbAutomator.registerHandler('storage', storage, {
+    description: 'Copy files and folders to the collab storage',
+    plan: planStorage,
+    undo: deleteEntities,
+    schema: {
+      type: 'object',
+      required: ['entities'],
+      properties: {
+        entities: {
+          type: 'object',
+          additionalProperties: {type: 'string'}
+        },
+        collab: {type: ['integer', 'string']}
+      }
+    }
+  });
 
   /**
    * Copy files and folders to the destination collab storage.
    *
+   * In idempotent mode, an entity with the same name at the root of the
+   * collab storage is reused instead of copying the source again.
+   *
    * @memberof module:clb-automator.Tasks
    * @param {object} descriptor the task configuration
    * @param {object} descriptor.storage a object where keys are the file path in the
    *                                new collab and value are the UUID of the
    *                                entity to copy at this path.
    * @param {object} [descriptor.collab] id of the collab
+   * @param {boolean} [descriptor.ensure] reuse the existing entities, see
+   *                                      ``Task.isIdempotent``
    * @param {object} context the current task context
    * @param {object} [context.collab] the collab in which entities will be copied
    * @return {object} created entities where keys are the same as provided in
    *                  config.storage
    */
   function storage(descriptor, context) {
+    var task = this;
     return clbAutomator.ensureParameters(
       descriptor, 'entities'
     ).then(function() {
@@ -31,9 +52,9 @@ angular.module('clb-automator')
           var promises = {};
           angular.forEach(descriptor.entities, function(value, name) {
             if (angular.isString(value)) {
-              $log.debug("Copy entity with UUID", value);
-              promises[name] = (
-                hbpEntityStore.copy(value, projectEntity._uuid));
+              promises[name] = clbAutomator.isIdempotent(task) ?
+                ensureEntity(task, name, value, projectEntity) :
+                copyEntity(value, projectEntity);
             } else {
               $log.warn('Invalid configuration for storage task', descriptor);
             }
@@ -42,4 +63,87 @@ angular.module('clb-automator')
         });
     });
   }
+
+  /**
+   * Copy an entity at the root of the project.
+   *
+   * @param {string} uuid the UUID of the entity to copy
+   * @param {object} projectEntity the collab storage project
+   * @return {Promise} promise of the copy
+   * @private
+   */
+  function copyEntity(uuid, projectEntity) {
+    $log.debug("Copy entity with UUID", uuid);
+    return hbpEntityStore.copy(uuid, projectEntity._uuid);
+  }
+
+  /**
+   * Return the entity with the same name as the source at the root of the
+   * project, or copy the source if there is none.
+   *
+   * @param {Task} task the running task
+   * @param {string} name the name of the entity in the descriptor
+   * @param {string} uuid the UUID of the entity to copy
+   * @param {object} projectEntity the collab storage project
+   * @return {Promise} promise of the existing entity or of the copy
+   * @private
+   */
+  function ensureEntity(task, name, uuid, projectEntity) {
+    return hbpEntityStore.get(uuid).then(function(source) {
+      var path = '/' + projectEntity._name + '/' + source._name;
+      return hbpEntityStore.getPath(path).then(function(entity) {
+        $log.debug('Reuse entity', path);
+        task.reused = task.reused || {};
+        task.reused[name] = true;
+        return entity;
+      }, function(err) {
+        if (err && err.code === 404) {
+          return copyEntity(uuid, projectEntity);
+        }
+        return $q.reject(err);
+      });
+    });
+  }
+
+  /**
+   * Delete the entities copied by ``storage``. The entities reused in
+   * idempotent mode are kept.
+   *
+   * @param {object} entities the entities created by ``storage``
+   * @return {Promise} resolve once all the entities are deleted
+   * @private
+   */
+  function deleteEntities(entities) {
+    var reused = this.reused || {};
+    var promises = [];
+    angular.forEach(entities, function(entity, name) {
+      if (reused[name]) {
+        $log.debug('Keep existing entity', entity);
+        return;
+      }
+      $log.debug('Delete entity', entity);
+      promises.push(hbpEntityStore.delete(entity));
+    });
+    return $q.all(promises);
+  }
+
+  /**
+   * Describe the entities that would be copied by ``storage``.
+   *
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {object} the plan of the entities copy
+   * @private
+   */
+  function planStorage(descriptor, context) {
+    return {
+      action: clbAutomator.isIdempotent(this) ?
+        'ensureEntities' : 'copyEntities',
+      data: {
+        collab: descriptor.collab ||
+          (context && context.collab && context.collab.id),
+        entities: angular.copy(descriptor.entities)
+      }
+    };
+  }
 });
@@ -74,4 +74,74 @@ describe('storage task handler', function() {
       data.rootEntity._uuid
     );
   }));
+
+  describe('ensure mode', function() {
+    var existing;
+
+    beforeEach(inject(function($q, hbpErrorService) {
+      existing = {_uuid: '999', _name: 'image.png'};
+      data.rootEntity._name = 'My Collab';
+      spyOn(storage, 'getProjectByCollab')
+        .and.returnValue($q.when(data.rootEntity));
+      spyOn(entityStore, 'copy').and.returnValue($q.when(data.newEntity));
+      spyOn(entityStore, 'get').and.returnValue($q.when(data.fileEntity));
+      spyOn(entityStore, 'delete').and.returnValue($q.when());
+      spyOn(entityStore, 'getPath').and.callFake(function(path) {
+        return path === '/My Collab/image.png' ?
+          $q.when(existing) :
+          $q.reject(hbpErrorService.error({type: 'NotFound', code: 404}));
+      });
+    }));
+
+    it('should reuse an entity at the same path', inject(function(
+      clbAutomator
+    ) {
+      var result;
+      var task = clbAutomator.task('storage', {
+        collab: data.collab.id,
+        ensure: true,
+        entities: {'image.png': '123'}
+      });
+      task.run().then(function(r) {
+        result = r;
+      });
+      scope.$digest();
+      expect(entityStore.getPath).toHaveBeenCalledWith('/My Collab/image.png');
+      expect(entityStore.copy).not.toHaveBeenCalled();
+      expect(result).toEqual({'image.png': existing});
+      expect(task.reused).toEqual({'image.png': true});
+    }));
+
+    it('should copy a missing entity', inject(function(clbAutomator) {
+      existing = null;
+      data.fileEntity._name = 'other.png';
+      clbAutomator.run({storage: {
+        collab: data.collab.id,
+        ensure: true,
+        entities: {'other.png': '123'}
+      }});
+      scope.$digest();
+      expect(entityStore.copy).toHaveBeenCalledWith('123', 'root');
+    }));
+
+    it('should only delete the copies on rollback', inject(function(
+      $q, clbAutomator
+    ) {
+      clbAutomator.registerHandler('failure', function() {
+        return $q.reject({type: 'Failure'});
+      });
+      entityStore.get.and.callFake(function(uuid) {
+        return $q.when(uuid === '123' ? data.fileEntity : {_name: 'new.png'});
+      });
+      clbAutomator.run({storage: {
+        collab: data.collab.id,
+        ensure: true,
+        entities: {'image.png': '123', 'new.png': '456'},
+        after: [{failure: {}}]
+      }});
+      scope.$digest();
+      expect(entityStore.delete).toHaveBeenCalledWith(data.newEntity);
+      expect(entityStore.delete).not.toHaveBeenCalledWith(existing);
+    }));
+  });
 });
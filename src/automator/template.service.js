@@ -0,0 +1,347 @@
+angular.module('clb-automator')
+.factory('clbTemplate', clbTemplate);
+
+/**
+ * @namespace clbTemplate
+ * @memberof module:clb-automator
+ * @desc
+ * clbTemplate interpolates ``{{ }}`` placeholders found in the string values
+ * of an object tree. Each placeholder contains an AngularJS expression that
+ * is evaluated against a scope object.
+ *
+ * When a string only contains a single placeholder, it is replaced by the
+ * value of the expression, whatever its type. Otherwise the values are
+ * converted to string and inserted in the text.
+ *
+ * It also resolves references: strings like ``$ref:<id>.<property path>``
+ * are replaced by a value looked up in a registry of named results.
+ *
+ * @example <caption>Interpolate a descriptor</caption>
+ * var r = clbTemplate.interpolate({
+ *   title: 'Collab of {{user.name}}',
+ *   collab: '{{collab.id}}'
+ * }, {user: {name: 'John'}, collab: {id: 42}});
+ * // r.value: {title: 'Collab of John', collab: 42}
+ * // r.errors: []
+ * @param {object} $parse injected service
+ * @return {object} the clbTemplate Angular service singleton
+ */
+function clbTemplate($parse) {
+  var placeholderRe = /\{\{(.+?)\}\}/g;
+  var singlePlaceholderRe = /^\{\{((?:(?!\}\}).)+)\}\}$/;
+  var referencePrefix = '$ref:';
+  var referenceRe = /^\$ref:([A-Za-z_][A-Za-z0-9_]*)(?:\.(.+))?$/;
+
+  /**
+   * Test if ``value`` is a string containing at least one placeholder.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value any value
+   * @return {boolean}   true if value is a template string
+   */
+  function isTemplate(value) {
+    return angular.isString(value) && /\{\{(.+?)\}\}/.test(value);
+  }
+
+  /**
+   * Call ``fn`` for each string in ``value`` and build a copy of ``value``
+   * where each string is replaced by the result of ``fn``. Dates and
+   * blobs are kept as is.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value       any value
+   * @param  {string} path     the JSON path of value
+   * @param  {Function} fn     called with the string and its path
+   * @return {any}             the copy of value
+   * @private
+   */
+  function mapStrings(value, path, fn) {
+    if (angular.isString(value)) {
+      return fn(value, path);
+    }
+    if (angular.isArray(value)) {
+      var a = [];
+      angular.forEach(value, function(v, i) {
+        a.push(mapStrings(v, path + '[' + i + ']', fn));
+      });
+      return a;
+    }
+    if (angular.isObject(value) && !angular.isDate(value) &&
+        !isBlob(value)) {
+      var o = {};
+      // Object.keys as angular.forEach calls any ``forEach`` property.
+      Object.keys(value).forEach(function(k) {
+        o[k] = mapStrings(value[k], path + '.' + k, fn);
+      });
+      return o;
+    }
+    return value;
+  }
+
+  /**
+   * Test if ``value`` is a Blob or a File.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value any value
+   * @return {boolean}   true for a Blob or a File
+   * @private
+   */
+  function isBlob(value) {
+    var type = Object.prototype.toString.call(value);
+    return type === '[object Blob]' || type === '[object File]';
+  }
+
+  /**
+   * Return the placeholders syntax errors found in ``value``.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value     the value to check
+   * @param  {string} [path] the JSON path of value, default to ``$``
+   * @return {Array}         a list of ``{path, message}``
+   */
+  function check(value, path) {
+    var errors = [];
+    mapStrings(value, path || '$', function(text, textPath) {
+      if (text.indexOf(referencePrefix) === 0 && !referenceRe.test(text)) {
+        errors.push({
+          path: textPath,
+          message: 'is not a valid reference'
+        });
+      }
+      text.replace(placeholderRe, function(match, expression) {
+        try {
+          $parse(expression);
+        } catch (ex) {
+          errors.push({
+            path: textPath,
+            message: 'is not a valid template: ' + ex.message
+          });
+        }
+        return match;
+      });
+      return text;
+    });
+    return errors;
+  }
+
+  /**
+   * Return the JSON paths of all the template strings in ``value``.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value     the value to inspect
+   * @param  {string} [path] the JSON path of value, default to ``$``
+   * @return {Array}         a list of JSON paths
+   */
+  function templatePaths(value, path) {
+    var paths = [];
+    mapStrings(value, path || '$', function(text, textPath) {
+      if (isTemplate(text)) {
+        paths.push(textPath);
+      }
+      return text;
+    });
+    return paths;
+  }
+
+  /**
+   * Interpolate all the placeholders found in ``value``.
+   *
+   * An expression that evaluates to ``undefined`` is reported as an error,
+   * unless ``lenient`` is true. In this case the placeholder is kept as is.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value        the value to interpolate
+   * @param  {object} scope     the object to evaluate the expressions against
+   * @param  {string} [path]    the JSON path of value, default to ``$``
+   * @param  {boolean} [lenient] keep undefined placeholders
+   * @return {object}           ``{value, errors}`` where ``value`` is the
+   *                            interpolated copy and ``errors`` a list of
+   *                            ``{path, message}``
+   */
+  function interpolate(value, scope, path, lenient) {
+    var errors = [];
+    return {
+      value: mapStrings(value, path || '$',
+        placeholderResolver(scope, lenient, errors)),
+      errors: errors
+    };
+  }
+
+  /**
+   * Build a ``mapStrings`` callback that interpolates the placeholders of
+   * a string.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {object} scope     the object to evaluate the expressions against
+   * @param  {boolean} lenient  keep undefined placeholders
+   * @param  {Array} errors     the list the errors are pushed to
+   * @return {Function}         the callback
+   * @private
+   */
+  function placeholderResolver(scope, lenient, errors) {
+    var evaluate = function(expression, textPath) {
+      var result;
+      try {
+        result = $parse(expression)(scope);
+      } catch (ex) {
+        errors.push({
+          path: textPath,
+          message: 'is not a valid template: ' + ex.message
+        });
+        return;
+      }
+      if (angular.isUndefined(result) && !lenient) {
+        errors.push({
+          path: textPath,
+          message: 'uses an undefined variable: ' + expression.trim()
+        });
+      }
+      return result;
+    };
+    return function(text, textPath) {
+      var single = singlePlaceholderRe.exec(text);
+      if (single) {
+        var v = evaluate(single[1], textPath);
+        return angular.isUndefined(v) ? text : v;
+      }
+      return text.replace(placeholderRe, function(match, expression) {
+        var v = evaluate(expression, textPath);
+        if (angular.isUndefined(v)) {
+          return match;
+        }
+        if (v === null) {
+          return '';
+        }
+        return angular.isObject(v) ? angular.toJson(v) : String(v);
+      });
+    };
+  }
+
+  /**
+   * Return the references found in ``value``.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value     the value to inspect
+   * @param  {string} [path] the JSON path of value, default to ``$``
+   * @return {Array}         a list of ``{path, id, property}``
+   */
+  function references(value, path) {
+    var refs = [];
+    mapStrings(value, path || '$', function(text, textPath) {
+      var m = referenceRe.exec(text);
+      if (m) {
+        refs.push({path: textPath, id: m[1], property: m[2]});
+      }
+      return text;
+    });
+    return refs;
+  }
+
+  /**
+   * Lookup a property path in ``obj``.
+   *
+   * Keys can contain dots, like file names. The longest key found in the
+   * object is used first, so ``sample.ipynb._uuid`` resolves to
+   * ``obj['sample.ipynb']._uuid``.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {object} obj     the object to lookup in
+   * @param  {string} [property] a dot separated property path
+   * @return {any}            the value or undefined
+   * @private
+   */
+  function lookup(obj, property) {
+    if (!property) {
+      return obj;
+    }
+    if (!angular.isObject(obj)) {
+      return undefined;
+    }
+    if (obj.hasOwnProperty(property)) {
+      return obj[property];
+    }
+    var parts = property.split('.');
+    for (var i = parts.length - 1; i > 0; i--) {
+      var key = parts.slice(0, i).join('.');
+      if (obj.hasOwnProperty(key)) {
+        var r = lookup(obj[key], parts.slice(i).join('.'));
+        if (angular.isDefined(r)) {
+          return r;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Build a ``mapStrings`` callback that replaces a reference by its value.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {object} registry  the named values, by id
+   * @param  {boolean} lenient  keep unresolved references
+   * @param  {Array} errors     the list the errors are pushed to
+   * @return {Function}         the callback
+   * @private
+   */
+  function referenceResolver(registry, lenient, errors) {
+    return function(text, textPath) {
+      var m = referenceRe.exec(text);
+      if (!m) {
+        return text;
+      }
+      var v = registry.hasOwnProperty(m[1]) ?
+        lookup(registry[m[1]], m[2]) :
+        undefined;
+      if (angular.isUndefined(v)) {
+        if (!lenient) {
+          errors.push({
+            path: textPath,
+            message: 'references an undefined value: ' + text
+          });
+        }
+        return text;
+      }
+      return v;
+    };
+  }
+
+  /**
+   * Resolve the references and interpolate the placeholders of ``value``
+   * in a single pass.
+   *
+   * The substituted values are inserted as is: a referenced result keeps
+   * its identity and the placeholders it may contain are not evaluated.
+   *
+   * @memberof module:clb-automator.clbTemplate
+   * @param  {any} value        the value to resolve
+   * @param  {object} registry  the named values, by id
+   * @param  {object} scope     the object to evaluate the expressions against
+   * @param  {string} [path]    the JSON path of value, default to ``$``
+   * @param  {boolean} [lenient] keep unresolved references and placeholders
+   * @return {object}           ``{value, errors}`` where ``value`` is the
+   *                            resolved copy and ``errors`` a list of
+   *                            ``{path, message}``
+   */
+  function resolve(value, registry, scope, path, lenient) {
+    var errors = [];
+    var dereferenceText = referenceResolver(registry, lenient, errors);
+    var interpolateText = placeholderResolver(scope, lenient, errors);
+    return {
+      value: mapStrings(value, path || '$', function(text, textPath) {
+        return referenceRe.test(text) ?
+          dereferenceText(text, textPath) :
+          interpolateText(text, textPath);
+      }),
+      errors: errors
+    };
+  }
+
+  return {
+    isTemplate: isTemplate,
+    check: check,
+    templatePaths: templatePaths,
+    interpolate: interpolate,
+    references: references,
+    resolve: resolve
+  };
+}
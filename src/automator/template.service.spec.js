@@ -0,0 +1,183 @@
+describe('clbTemplate', function() {
+  var template;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function(clbTemplate) {
+    template = clbTemplate;
+  }));
+
+  describe('interpolate(value, scope, path, lenient)', function() {
+    var scope;
+
+    beforeEach(function() {
+      scope = {
+        title: 'My Collab',
+        collab: {id: 42},
+        storage: {
+          'sample.ipynb': {_uuid: 'aaa-bbb'}
+        }
+      };
+    });
+
+    it('should replace placeholders in strings', function() {
+      var r = template.interpolate({
+        name: 'Notebook of {{title}} ({{ collab.id }})'
+      }, scope);
+      expect(r.errors).toEqual([]);
+      expect(r.value).toEqual({name: 'Notebook of My Collab (42)'});
+    });
+
+    it('should keep the type of a single placeholder', function() {
+      var r = template.interpolate({collab: '{{collab.id}}'}, scope);
+      expect(r.value.collab).toBe(42);
+    });
+
+    it('should support bracket notation', function() {
+      var r = template.interpolate({
+        entity: '{{storage[\'sample.ipynb\']._uuid}}'
+      }, scope);
+      expect(r.value.entity).toBe('aaa-bbb');
+    });
+
+    it('should walk arrays and nested objects', function() {
+      var r = template.interpolate({
+        list: ['{{title}}', {deep: '{{collab.id}}'}],
+        count: 1
+      }, scope);
+      expect(r.value).toEqual({
+        list: ['My Collab', {deep: 42}],
+        count: 1
+      });
+    });
+
+    it('should keep the blobs', inject(function($window) {
+      var blob = new $window.Blob(['content']);
+      var r = template.interpolate({content: blob}, scope);
+      expect(r.value.content).toBe(blob);
+    }));
+
+    it('should not modify the original value', function() {
+      var value = {name: '{{title}}'};
+      template.interpolate(value, scope);
+      expect(value.name).toBe('{{title}}');
+    });
+
+    it('should report undefined variables', function() {
+      var r = template.interpolate({
+        name: '{{unknown}}',
+        list: ['a {{collab.unknown}}']
+      }, scope, '$.nav');
+      expect(r.errors).toEqual([{
+        path: '$.nav.name',
+        message: 'uses an undefined variable: unknown'
+      }, {
+        path: '$.nav.list[0]',
+        message: 'uses an undefined variable: collab.unknown'
+      }]);
+    });
+
+    it('should keep undefined placeholders in lenient mode', function() {
+      var r = template.interpolate({
+        name: '{{title}} {{unknown}}'
+      }, scope, '$', true);
+      expect(r.errors).toEqual([]);
+      expect(r.value.name).toBe('My Collab {{unknown}}');
+    });
+  });
+
+  describe('check(value, path)', function() {
+    it('should report syntax errors', function() {
+      var errors = template.check({a: 'ok {{a.b}}', b: '{{a.}}'}, '$.x');
+      expect(errors.length).toBe(1);
+      expect(errors[0].path).toBe('$.x.b');
+    });
+
+    it('should report invalid references', function() {
+      expect(template.check({a: '$ref:1abc'}, '$.x')).toEqual([{
+        path: '$.x.a',
+        message: 'is not a valid reference'
+      }]);
+    });
+  });
+
+  describe('templatePaths(value, path)', function() {
+    it('should list the path of template strings', function() {
+      expect(template.templatePaths({
+        a: '{{a}}',
+        b: 'b',
+        c: ['{{c}}']
+      })).toEqual(['$.a', '$.c[0]']);
+    });
+  });
+
+  describe('references(value, path)', function() {
+    it('should list the references', function() {
+      expect(template.references({
+        a: '$ref:copy.sample.ipynb',
+        b: ['$ref:nav'],
+        c: 'no $ref:here'
+      }, '$.x')).toEqual([
+        {path: '$.x.a', id: 'copy', property: 'sample.ipynb'},
+        {path: '$.x.b[0]', id: 'nav', property: undefined}
+      ]);
+    });
+  });
+
+  describe('resolve(value, registry, scope, path, lenient)', function() {
+    var registry;
+
+    beforeEach(function() {
+      registry = {
+        copy: {'sample.ipynb': {_uuid: '42'}},
+        nav: {id: 3}
+      };
+    });
+
+    it('should replace references by their value', function() {
+      var r = template.resolve({
+        entity: '$ref:copy.sample.ipynb._uuid',
+        nav: '$ref:nav',
+        name: 'unchanged'
+      }, registry, {});
+      expect(r.errors).toEqual([]);
+      expect(r.value).toEqual({entity: '42', nav: {id: 3}, name: 'unchanged'});
+    });
+
+    it('should report undefined values', function() {
+      var r = template.resolve({a: '$ref:nav.unknown'}, registry, {}, '$.x');
+      expect(r.errors).toEqual([{
+        path: '$.x.a',
+        message: 'references an undefined value: $ref:nav.unknown'
+      }]);
+    });
+
+    it('should keep undefined references in lenient mode', function() {
+      var r = template.resolve({a: '$ref:other'}, registry, {}, '$', true);
+      expect(r.errors).toEqual([]);
+      expect(r.value.a).toBe('$ref:other');
+    });
+
+    it('should resolve references and placeholders', function() {
+      var nav = {id: 3, name: '{{name}}'};
+      var r = template.resolve({
+        nav: '$ref:nav',
+        title: '{{name}}'
+      }, {nav: nav}, {name: 'Notes'});
+      expect(r.errors).toEqual([]);
+      expect(r.value.title).toBe('Notes');
+      expect(r.value.nav).toBe(nav);
+      expect(nav.name).toBe('{{name}}');
+    });
+
+    it('should report both kinds of errors', function() {
+      var r = template.resolve({a: '$ref:nav', b: '{{name}}'}, {}, {});
+      expect(r.errors).toEqual([{
+        path: '$.a',
+        message: 'references an undefined value: $ref:nav'
+      }, {
+        path: '$.b',
+        message: 'uses an undefined variable: name'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+angular.module('clb-automator')
+.run(function uploadFile(
+  $log, $q, $window, hbpEntityStore, hbpFileStore, hbpErrorService,
+  clbAutomator,
+  hbpCollaboratoryStorage
+) {
+  clbAutomator.registerHandler('upload', upload, {
+    description: 'Create a file in the collab storage from inline content',
+    plan: planUpload,
+    undo: deleteFile,
+    literal: ['content'],
+    schema: {
+      type: 'object',
+      required: ['name', 'content'],
+      properties: {
+        name: {type: 'string', minLength: 1},
+        content: {type: ['string', 'object']},
+        encoding: {type: 'string', enum: ['text', 'base64']},
+        contentType: {type: 'string', minLength: 1},
+        folder: {type: ['string', 'object']},
+        collab: {type: ['integer', 'string']},
+        interpolate: {type: 'boolean'}
+      }
+    }
+  });
+
+  /**
+   * Create a file in the collab storage.
+   *
+   * The content is either a text, a base64 encoded string with
+   * ``encoding: 'base64'`` or a ``Blob`` given by a variable. The file is
+   * uploaded at the root of the collab storage or in ``descriptor.folder``,
+   * a path relative to the root or a folder entity.
+   *
+   * The content is uploaded as is, so that a notebook or a template can
+   * contain ``{{ }}``. Set ``interpolate: true`` to replace its
+   * placeholders, for instance to use a Blob variable.
+   *
+   * In idempotent mode, a file with the same name in the folder is reused
+   * instead of uploading the content again.
+   *
+   * @example <caption>Create a notebook and link it to a nav item</caption>
+   * {
+   *   "upload": {
+   *     "name": "README.md",
+   *     "content": "# {{title}}",
+   *     "interpolate": true,
+   *     "contentType": "text/markdown",
+   *     "folder": "docs",
+   *     "after": [{
+   *       "nav": {"name": "Readme", "app": "Rich Text Editor",
+   *               "entity": "{{upload._uuid}}"}
+   *     }]
+   *   }
+   * }
+   * @memberof module:clb-automator.Tasks
+   * @param {object} descriptor the task configuration
+   * @param {string} descriptor.name the file name
+   * @param {string|Blob} descriptor.content the file content
+   * @param {string} [descriptor.encoding] ``text`` (default) or ``base64``
+   * @param {boolean} [descriptor.interpolate] interpolate the content
+   * @param {string} [descriptor.contentType] the content type, default to
+   *                 the blob type, ``text/plain`` for a text or
+   *                 ``application/octet-stream`` for base64 content
+   * @param {string|object} [descriptor.folder] the path of the folder
+   *                        relative to the root of the collab storage or
+   *                        a folder entity
+   * @param {number} [descriptor.collab] id of the collab
+   * @param {boolean} [descriptor.ensure] reuse an existing file, see
+   *                                      ``Task.isIdempotent``
+   * @param {object} context the current task context
+   * @param {object} [context.collab] the collab in which the file is created
+   * @return {Promise} promise of the created file entity
+   */
+  function upload(descriptor, context) {
+    var task = this;
+    var blob;
+    try {
+      blob = toBlob(descriptor);
+    } catch (ex) {
+      return $q.reject(ex);
+    }
+    $log.debug('Upload file', descriptor.name);
+    return targetFolder(descriptor, context).then(function(folder) {
+      if (!clbAutomator.isIdempotent(task)) {
+        return hbpFileStore.upload(blob, {parent: folder});
+      }
+      var path = folderPath(folder) + '/' + descriptor.name;
+      return hbpEntityStore.getPath(path).then(function(entity) {
+        $log.debug('Reuse file', path);
+        task.reused = true;
+        return entity;
+      }, function(err) {
+        if (err && err.code === 404) {
+          return hbpFileStore.upload(blob, {parent: folder});
+        }
+        return $q.reject(err);
+      });
+    });
+  }
+
+  /**
+   * Build the Blob to upload.
+   *
+   * @param {object} descriptor the task configuration
+   * @return {Blob} the content as a Blob named after the file
+   * @throws {HbpError} an ``InvalidContent`` error
+   * @private
+   */
+  function toBlob(descriptor) {
+    var content = descriptor.content;
+    var blob;
+    if (content instanceof $window.Blob) {
+      blob = descriptor.contentType ?
+        new $window.Blob([content], {type: descriptor.contentType}) :
+        content;
+    } else if (descriptor.encoding === 'base64') {
+      blob = new $window.Blob([decodeBase64(content)], {
+        type: descriptor.contentType || 'application/octet-stream'
+      });
+    } else if (angular.isString(content)) {
+      blob = new $window.Blob([content], {
+        type: descriptor.contentType || 'text/plain'
+      });
+    } else {
+      throw hbpErrorService.error({
+        type: 'InvalidContent',
+        message: 'The content of ' + descriptor.name +
+          ' should be a string or a Blob',
+        data: {name: descriptor.name}
+      });
+    }
+    blob.name = descriptor.name;
+    return blob;
+  }
+
+  /**
+   * Decode a base64 string.
+   *
+   * @param {string} content the base64 encoded content
+   * @return {Uint8Array} the decoded bytes
+   * @throws {HbpError} an ``InvalidContent`` error
+   * @private
+   */
+  function decodeBase64(content) {
+    var binary;
+    try {
+      binary = $window.atob(content);
+    } catch (ex) {
+      throw hbpErrorService.error({
+        type: 'InvalidContent',
+        message: 'The content is not valid base64',
+        data: {cause: ex}
+      });
+    }
+    var bytes = new $window.Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Return the folder entity where the file is uploaded.
+   *
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {Promise} promise of the folder entity
+   * @private
+   */
+  function targetFolder(descriptor, context) {
+    if (angular.isObject(descriptor.folder)) {
+      return $q.when(descriptor.folder);
+    }
+    return hbpCollaboratoryStorage
+    .getProjectByCollab(descriptor.collab || context.collab.id)
+    .then(function(project) {
+      var folder = (descriptor.folder || '').replace(/^\/+|\/+$/g, '');
+      if (!folder) {
+        return project;
+      }
+      return hbpEntityStore.getPath(folderPath(project) + '/' + folder);
+    });
+  }
+
+  /**
+   * Return the absolute path of a folder entity.
+   *
+   * @param {object} folder a project or folder entity
+   * @return {string} the path
+   * @private
+   */
+  function folderPath(folder) {
+    return folder._path || '/' + folder._name;
+  }
+
+  /**
+   * Delete the file created by ``upload``. A reused file is kept.
+   *
+   * @param {object} entity the file entity
+   * @return {Promise} resolve once the file is deleted
+   * @private
+   */
+  function deleteFile(entity) {
+    if (this.reused) {
+      $log.debug('Keep existing file', entity);
+      return $q.when();
+    }
+    $log.debug('Delete file', entity);
+    return hbpEntityStore.delete(entity);
+  }
+
+  /**
+   * Describe the file that would be created by ``upload``.
+   *
+   * @param {object} descriptor the task configuration
+   * @param {object} context the current task context
+   * @return {object} the plan of the upload
+   * @private
+   */
+  function planUpload(descriptor, context) {
+    var folder = descriptor.folder;
+    return {
+      action: clbAutomator.isIdempotent(this) ?
+        'ensureFile' : 'uploadFile',
+      data: {
+        collab: descriptor.collab ||
+          (context && context.collab && context.collab.id),
+        name: descriptor.name,
+        folder: angular.isObject(folder) ? folder._uuid : folder,
+        contentType: descriptor.contentType,
+        encoding: descriptor.encoding || 'text'
+      }
+    };
+  }
+});
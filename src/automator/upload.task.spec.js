@@ -0,0 +1,174 @@
+describe('upload task handler', function() {
+  var automator;
+  var scope;
+  var $q;
+  var fileStore;
+  var entityStore;
+  var storage;
+  var project;
+  var created;
+  var $window;
+
+  beforeEach(module('clb-automator'));
+  beforeEach(inject(function(
+    $rootScope, _$q_, _$window_, clbAutomator, hbpFileStore, hbpEntityStore,
+    hbpCollaboratoryStorage, hbpErrorService
+  ) {
+    automator = clbAutomator;
+    scope = $rootScope;
+    $q = _$q_;
+    $window = _$window_;
+    fileStore = hbpFileStore;
+    entityStore = hbpEntityStore;
+    storage = hbpCollaboratoryStorage;
+    project = {_uuid: 'project', _name: 'My Collab'};
+    created = {_uuid: 'new', _name: 'README.md'};
+    spyOn(storage, 'getProjectByCollab').and.returnValue($q.when(project));
+    spyOn(fileStore, 'upload').and.returnValue($q.when(created));
+    spyOn(entityStore, 'delete').and.returnValue($q.when());
+    spyOn(entityStore, 'getPath').and.callFake(function(path) {
+      if (path === '/My Collab/docs') {
+        return $q.when({_uuid: 'docs', _name: 'docs'});
+      }
+      return $q.reject(hbpErrorService.error({type: 'NotFound', code: 404}));
+    });
+  }));
+
+  var run = function(descriptor, options) {
+    var outcome = {};
+    automator.run({upload: angular.extend({collab: 1}, descriptor)}, {},
+      options)
+    .then(function(r) {
+      outcome.result = r;
+    }, function(err) {
+      outcome.error = err;
+    });
+    scope.$digest();
+    return outcome;
+  };
+
+  var uploadedBlob = function() {
+    return fileStore.upload.calls.mostRecent().args[0];
+  };
+
+  var readBlob = function(blob, done, fn) {
+    var reader = new $window.FileReader();
+    reader.onload = function() {
+      fn(reader.result);
+      done();
+    };
+    reader.readAsText(blob);
+  };
+
+  it('should upload a text at the root of the collab storage', function() {
+    var result = run({name: 'README.md', content: '# Title'}).result;
+    expect(storage.getProjectByCollab).toHaveBeenCalledWith(1);
+    expect(fileStore.upload).toHaveBeenCalledWith(jasmine.any($window.Blob), {
+      parent: project
+    });
+    expect(uploadedBlob().name).toBe('README.md');
+    expect(uploadedBlob().type).toBe('text/plain');
+    expect(result).toBe(created);
+  });
+
+  it('should upload the text content', function(done) {
+    run({name: 'README.md', content: '# Title'});
+    readBlob(uploadedBlob(), done, function(text) {
+      expect(text).toBe('# Title');
+    });
+  });
+
+  it('should decode base64 content', function(done) {
+    run({name: 'data.bin', content: 'aGVsbG8=', encoding: 'base64'});
+    expect(uploadedBlob().type).toBe('application/octet-stream');
+    readBlob(uploadedBlob(), done, function(text) {
+      expect(text).toBe('hello');
+    });
+  });
+
+  it('should reject invalid base64 content', function() {
+    var error = run({
+      name: 'data.bin',
+      content: '%%%',
+      encoding: 'base64'
+    }).error;
+    expect(error.type).toBe('InvalidContent');
+    expect(fileStore.upload).not.toHaveBeenCalled();
+  });
+
+  it('should upload a blob given by a variable', function() {
+    var blob = new $window.Blob(['{}'], {type: 'application/json'});
+    automator.run({upload: {
+      collab: 1,
+      name: 'data.json',
+      content: '{{data}}',
+      interpolate: true
+    }}, {variables: {data: blob}});
+    scope.$digest();
+    expect(uploadedBlob().type).toBe('application/json');
+    expect(uploadedBlob().name).toBe('data.json');
+  });
+
+  it('should upload the content as is by default', function(done) {
+    var content = '{"source": ["{{ value }}", "$ref:x", "{{ 1 +"]}';
+    var outcome = run({name: 'notebook.ipynb', content: content});
+    expect(outcome.error).toBeUndefined();
+    readBlob(uploadedBlob(), done, function(text) {
+      expect(text).toBe(content);
+    });
+  });
+
+  it('should use the content type', function() {
+    run({name: 'README.md', content: '# Title', contentType: 'text/markdown'});
+    expect(uploadedBlob().type).toBe('text/markdown');
+  });
+
+  it('should upload in a folder', function() {
+    run({name: 'README.md', content: '# Title', folder: '/docs/'});
+    expect(entityStore.getPath).toHaveBeenCalledWith('/My Collab/docs');
+    expect(fileStore.upload.calls.mostRecent().args[1].parent._uuid)
+      .toBe('docs');
+  });
+
+  it('should reject an unknown folder', function() {
+    var error = run({name: 'a.txt', content: '', folder: 'unknown'}).error;
+    expect(error.type).toBe('NotFound');
+  });
+
+  it('should reuse an existing file in ensure mode', function() {
+    var existing = {_uuid: 'old', _name: 'README.md'};
+    entityStore.getPath.and.callFake(function(path) {
+      return path === '/My Collab/README.md' ?
+        $q.when(existing) :
+        $q.reject({code: 404});
+    });
+    var result = run({name: 'README.md', content: '# Title'},
+      {ensure: true}).result;
+    expect(result).toBe(existing);
+    expect(fileStore.upload).not.toHaveBeenCalled();
+  });
+
+  it('should delete the file on rollback', function() {
+    automator.registerHandler('failure', function() {
+      return $q.reject({type: 'Failure'});
+    });
+    run({name: 'README.md', content: '# Title', after: [{failure: {}}]});
+    expect(entityStore.delete).toHaveBeenCalledWith(created);
+  });
+
+  it('should plan the upload', function() {
+    var result = run({name: 'README.md', content: '# Title', folder: 'docs'},
+      {dryRun: true}).result;
+    expect(result.plan).toEqual({
+      action: 'uploadFile',
+      data: {
+        collab: 1,
+        name: 'README.md',
+        folder: 'docs',
+        contentType: undefined,
+        encoding: 'text'
+      }
+    });
+    expect(fileStore.upload).not.toHaveBeenCalled();
+  });
+});
@@ -233,10 +233,13 @@ angular.module('hbpCollaboratoryNavStore', ['hbpCommon', 'uuid4'])
    * @memberof hbpCollaboratory.hbpCollaboratoryNavStore
    * @param  {number} collabId collab ID
    * @param  {number} navItem  the NavItem instance to add to the navigation
+   * @param  {object} [options] ``$http`` options, like a ``timeout`` promise
+   *                            to abort the request
    * @return {Promise} promise of the added NavItem instance
    */
-  var addNode = function(collabId, navItem) {
-    return $http.post(collabApiUrl + collabId + '/nav/', navItem.toJson())
+  var addNode = function(collabId, navItem, options) {
+    return $http.post(collabApiUrl + collabId + '/nav/', navItem.toJson(),
+      options)
     .then(function(resp) {
       return NavItem.fromJson(collabId, resp.data);
     }, hbpUtil.ferr);
@@ -246,10 +249,13 @@ angular.module('hbpCollaboratoryNavStore', ['hbpCommon', 'uuid4'])
    * @memberof hbpCollaboratory.hbpCollaboratoryNavStore
    * @param  {number} collabId collab ID
    * @param  {NavItem} navItem the NavItem instance to remove from the navigation
+   * @param  {object} [options] ``$http`` options, like a ``timeout`` promise
+   *                            to abort the request
    * @return {Promise} promise of an undefined item at the end
    */
-  var deleteNode = function(collabId, navItem) {
-    return $http.delete(collabApiUrl + collabId + '/nav/' + navItem.id + '/')
+  var deleteNode = function(collabId, navItem, options) {
+    return $http.delete(collabApiUrl + collabId + '/nav/' + navItem.id + '/',
+      options)
     .then(function() {
       cacheNavItems.remove(key(collabId, navItem.id));
     }, hbpUtil.ferr);
@@ -259,12 +265,14 @@ angular.module('hbpCollaboratoryNavStore', ['hbpCommon', 'uuid4'])
    * @memberof hbpCollaboratory.hbpCollaboratoryNavStore
    * @param  {number} collabId collab ID
    * @param  {NavItem} navItem the instance to update
+   * @param  {object} [options] ``$http`` options, like a ``timeout`` promise
+   *                            to abort the request
    * @return {Promise} promise the updated instance
    */
-  var update = function(collabId, navItem) {
+  var update = function(collabId, navItem, options) {
     navItem.collabId = collabId;
     return $http.put(collabApiUrl + collabId + '/nav/' +
-      navItem.id + '/', navItem.toJson())
+      navItem.id + '/', navItem.toJson(), options)
     .then(function(resp) {
       return NavItem.fromJson(collabId, resp.data);
     }, hbpUtil.ferr);
@@ -283,15 +291,17 @@ angular.module('hbpCollaboratoryNavStore', ['hbpCommon', 'uuid4'])
    * @param  {NavItem} navItem    Nav item instance
    * @param  {NavItem} parentItem parent item
    * @param  {int} insertAt   add to the menu
+   * @param  {object} [options] ``$http`` options, like a ``timeout`` promise
+   *                            to abort the request
    * @return {Promise}        a promise that will
    *                          return the update nav item
    */
-  function insertNode(collabId, navItem, parentItem, insertAt) {
+  function insertNode(collabId, navItem, parentItem, insertAt, options) {
     return insertQueue.then(function() {
       // first item order_index must be 1
       navItem.order = (insertAt === -1 ? 1 : insertAt + 1);
       navItem.parentId = parentItem.id;
-      return update(collabId, navItem);
+      return update(collabId, navItem, options);
     });
   }
 
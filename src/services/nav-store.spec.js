@@ -68,6 +68,25 @@ describe('hbpCollaboratoryNavStore', function() {
       store.insertNode(collabId, nav, parent, -1);
       httpBackend.flush();
     });
+
+    it('should abort the request when the timeout resolves',
+    inject(function($q, $rootScope) {
+      var cancel = $q.defer();
+      var result;
+      var error;
+      httpBackend.expectPUT(url).respond(200, {id: 33});
+      store.insertNode(collabId, nav, parent, 0, {timeout: cancel.promise})
+      .then(function(r) {
+        result = r;
+      }, function(err) {
+        error = err;
+      });
+      $rootScope.$digest();
+      cancel.resolve();
+      $rootScope.$digest();
+      expect(result).toBeUndefined();
+      expect(error).toBeDefined();
+    }));
   });
 
   describe('NavItem', function() {